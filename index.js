@@ -8,25 +8,430 @@
  * @format
  */
 
+const fs = require('fs');
+const path = require('path');
+
+const KEYWORDS = new Set([
+  'and',
+  'as',
+  'constraint',
+  'exception',
+  'external',
+  'include',
+  'let',
+  'module',
+  'mutable',
+  'open',
+  'private',
+  'rec',
+  'type'
+]);
+
+const STRUCTURE_KEYWORDS = new Set([
+  'exception',
+  'external',
+  'include',
+  'let',
+  'module',
+  'open',
+  'type'
+]);
+
+// Longest first, so that `...` wins over `..` and `=>` over `=`. `<` and `>`
+// are never combined because they close nested type arguments (`option<array<int>>`).
+const PUNCTUATORS = ['...', '===', '!==', '..', '=>', '->', '==', '!=', '&&', '||', '++'];
+
+const STRING_ESCAPES = {
+  n: '\n',
+  t: '\t',
+  r: '\r',
+  b: '\b',
+  '"': '"',
+  "'": "'",
+  '\\': '\\',
+  ' ': ' '
+};
+
+// Stable identifiers for every diagnostic the parser reports.
+const DIAGNOSTIC_CODES = Object.freeze({
+  INTERNAL_ERROR: 'internal-error',
+  LEXICAL_ERROR: 'lexical-error',
+  UNKNOWN_ESCAPE: 'unknown-escape',
+  SYNTAX_ERROR: 'syntax-error',
+  UNSUPPORTED_TYPE: 'unsupported-type',
+  UNKNOWN_TYPE: 'unknown-type',
+  INVALID_VARIANT: 'invalid-variant',
+  INVALID_ATTRIBUTE: 'invalid-attribute',
+  INVALID_MODULE_LOOKUP: 'invalid-module-lookup',
+  UNUSED_MODULE_SPEC: 'unused-module-spec',
+  INVALID_COMMANDS: 'invalid-commands',
+  INVALID_COMPONENT_OPTIONS: 'invalid-component-options',
+  MISSING_TURBO_MODULE_SPREAD: 'missing-turbo-module-spread',
+  MISNAMED_SPEC: 'misnamed-spec',
+  FUNCTION_PROP: 'function-prop',
+  UNSUPPORTED_UNION: 'unsupported-union',
+  NULLABLE_CALLBACK: 'nullable-callback',
+  DUPLICATE_MEMBER: 'duplicate-member'
+});
+
+// ReScript primitives and the Flow annotations codegen expects for them.
+const PRIMITIVE_TYPES = {
+  unit: 'VoidTypeAnnotation',
+  string: 'StringTypeAnnotation',
+  'String.t': 'StringTypeAnnotation',
+  'Js.String.t': 'StringTypeAnnotation',
+  int: 'NumberTypeAnnotation',
+  'Int.t': 'NumberTypeAnnotation',
+  float: 'NumberTypeAnnotation',
+  'Float.t': 'NumberTypeAnnotation',
+  bool: 'BooleanTypeAnnotation',
+  'Bool.t': 'BooleanTypeAnnotation',
+  'Js.Json.t': 'MixedTypeAnnotation',
+  'JSON.t': 'MixedTypeAnnotation'
+};
+
+// Codegen's sized number aliases (`Int32`, `Float`, `Double` from CodegenTypes).
+const CODEGEN_NUMBER_TYPES = {
+  Int32: 'Int32',
+  int32: 'Int32',
+  Float: 'Float',
+  Double: 'Double',
+  double: 'Double'
+};
+
+// Component props cannot use plain numbers, so ReScript numbers pick a codegen width.
+const COMPONENT_NUMBER_TYPES = {
+  int: 'Int32',
+  'Int.t': 'Int32',
+  float: 'Double',
+  'Float.t': 'Double'
+};
+
+// Component event props; the payload is a record and an optional `[#topName]` names the paper event.
+const EVENT_HANDLER_TYPES = {
+  directEventHandler: 'DirectEventHandler',
+  DirectEventHandler: 'DirectEventHandler',
+  bubblingEventHandler: 'BubblingEventHandler',
+  BubblingEventHandler: 'BubblingEventHandler'
+};
+
+const NULLABLE_TYPES = ['option', 'Js.Nullable.t', 'Nullable.t', 'nullable', 'Js.Null.t', 'Null.t', 'null'];
+const ARRAY_TYPES = ['array', 'Array.t', 'Js.Array.t'];
+const DICT_TYPES = ['Js.Dict.t', 'Dict.t', 'dict'];
+const PROMISE_TYPES = ['promise', 'Js.Promise.t', 'Js.Promise2.t', 'Promise.t', 'RescriptCore.Promise.t'];
+
+// Types spec files import from react-native/Libraries/Types/CodegenTypes.
+const CODEGEN_TYPE_NAMES = ['Int32', 'Float', 'Double', 'WithDefault', 'DirectEventHandler', 'BubblingEventHandler', 'UnsafeMixed'];
+
+// The second argument of codegenNativeComponent, and the kind of value each option takes.
+const COMPONENT_OPTIONS = {
+  interfaceOnly: 'Boolean',
+  paperComponentName: 'String',
+  paperComponentNameDeprecated: 'String',
+  excludedPlatforms: 'Array'
+};
+const COMPONENT_PLATFORMS = ['iOS', 'android'];
+
+const IDENTIFIER_START = /[A-Za-z_]/;
+const IDENTIFIER_PATTERN = /[A-Za-z_][A-Za-z0-9_']*/y;
+const NUMBER_PATTERN = /(?:0[xXoObB][0-9a-fA-F_]+|[0-9][0-9_]*(?:\.[0-9_]*)?(?:[eE][+-]?[0-9_]+)?)[a-zA-Z]?/y;
+
+class ReScriptParseError extends Error {
+  constructor(diagnostics, filename) {
+    const source = filename || '<input>';
+    const details = diagnostics
+      .map(diagnostic => `${source}:${diagnostic.line}:${diagnostic.column} ${diagnostic.code}: ${diagnostic.message}`)
+      .join('\n');
+
+    super(`Failed to parse ${source} (${diagnostics.length} error${diagnostics.length === 1 ? '' : 's'}):\n${details}`);
+    this.name = 'ReScriptParseError';
+    this.diagnostics = diagnostics;
+  }
+}
+
+class ReScriptLexer {
+  constructor(input) {
+    this.input = input;
+    this.position = 0;
+    this.tokens = [];
+    this.comments = [];
+    this.errors = [];
+  }
+
+  tokenize() {
+    const input = this.input;
+
+    while (this.position < input.length) {
+      const char = input[this.position];
+      const nextChar = input[this.position + 1];
+
+      if (/\s/.test(char)) {
+        this.position++;
+      } else if (char === '/' && nextChar === '/') {
+        this.readLineComment();
+      } else if (char === '/' && nextChar === '*') {
+        this.readBlockComment();
+      } else if (char === '"') {
+        this.readString();
+      } else if (char === '`') {
+        this.readTemplate();
+      } else if (char === '\\' && nextChar === '"') {
+        this.readEscapedIdentifier();
+      } else if (/[0-9]/.test(char)) {
+        this.readNumber();
+      } else if (IDENTIFIER_START.test(char)) {
+        this.readIdentifier();
+      } else if (char === "'" && this.readChar()) {
+        continue;
+      } else {
+        this.readPunctuator();
+      }
+    }
+
+    this.tokens.push({ type: 'EOF', value: '', start: input.length, end: input.length });
+    return this.tokens;
+  }
+
+  addError(message, position, code = DIAGNOSTIC_CODES.LEXICAL_ERROR, severity = 'error') {
+    this.errors.push({ message, position, code, severity });
+  }
+
+  pushToken(type, value, start, end) {
+    const token = { type, value, start, end };
+    this.tokens.push(token);
+    return token;
+  }
+
+  readLineComment() {
+    const start = this.position;
+    let end = this.input.indexOf('\n', start);
+    if (end === -1) end = this.input.length;
+
+    this.comments.push({
+      type: 'Line',
+      value: this.input.slice(start + 2, end).replace(/\r$/, ''),
+      start,
+      end
+    });
+    this.position = end;
+  }
+
+  readBlockComment() {
+    const start = this.position;
+    let depth = 0;
+    let index = start;
+
+    // ReScript block comments nest, unlike JavaScript ones.
+    while (index < this.input.length) {
+      if (this.input.startsWith('/*', index)) {
+        depth++;
+        index += 2;
+      } else if (this.input.startsWith('*/', index)) {
+        depth--;
+        index += 2;
+        if (depth === 0) break;
+      } else {
+        index++;
+      }
+    }
+
+    if (depth > 0) {
+      this.addError('Unterminated block comment', start);
+    }
+
+    this.comments.push({
+      type: 'Block',
+      value: this.input.slice(start + 2, depth > 0 ? index : index - 2),
+      start,
+      end: index
+    });
+    this.position = index;
+  }
+
+  readString() {
+    const start = this.position;
+    let index = start + 1;
+    let value = '';
+
+    while (index < this.input.length && this.input[index] !== '"') {
+      if (this.input[index] === '\\') {
+        const escaped = this.readEscape(index);
+        value += escaped.value;
+        index = escaped.end;
+      } else {
+        value += this.input[index];
+        index++;
+      }
+    }
+
+    if (index >= this.input.length) {
+      this.addError('Unterminated string literal', start);
+    } else {
+      index++;
+    }
+
+    const token = this.pushToken('String', value, start, index);
+    token.raw = this.input.slice(start, index);
+    this.position = index;
+  }
+
+  readEscape(index) {
+    const char = this.input[index + 1];
+
+    if (char in STRING_ESCAPES) {
+      return { value: STRING_ESCAPES[char], end: index + 2 };
+    }
+
+    const unicode = /^u\{([0-9a-fA-F]+)\}|^u([0-9a-fA-F]{4})|^x([0-9a-fA-F]{2})|^([0-9]{3})/.exec(
+      this.input.slice(index + 1, index + 12)
+    );
+    if (unicode) {
+      const codePoint = unicode[4]
+        ? parseInt(unicode[4], 10)
+        : parseInt(unicode[1] || unicode[2] || unicode[3], 16);
+      return { value: String.fromCodePoint(codePoint), end: index + 1 + unicode[0].length };
+    }
+
+    if (char === '\n') {
+      return { value: '', end: index + 2 };
+    }
+
+    this.addError(`Unknown escape sequence \\${char || ''}`, index, DIAGNOSTIC_CODES.UNKNOWN_ESCAPE, 'warning');
+    return { value: char || '', end: index + 2 };
+  }
+
+  readTemplate() {
+    const start = this.position;
+    let index = start + 1;
+
+    while (index < this.input.length && this.input[index] !== '`') {
+      index += this.input[index] === '\\' ? 2 : 1;
+    }
+
+    if (index >= this.input.length) {
+      this.addError('Unterminated template literal', start);
+    } else {
+      index++;
+    }
+
+    const token = this.pushToken('String', this.input.slice(start + 1, Math.max(start + 1, index - 1)), start, index);
+    token.raw = this.input.slice(start, index);
+    this.position = index;
+  }
+
+  readEscapedIdentifier() {
+    // `\"type"` lets ReScript use reserved words and arbitrary strings as names.
+    const start = this.position;
+    this.position++;
+    this.readString();
+
+    const stringToken = this.tokens.pop();
+    this.pushToken('Identifier', stringToken.value, start, stringToken.end);
+  }
+
+  readNumber() {
+    NUMBER_PATTERN.lastIndex = this.position;
+    const match = NUMBER_PATTERN.exec(this.input);
+    const raw = match[0];
+    const token = this.pushToken('Number', Number(raw.replace(/_|[a-zA-Z]$/g, '')), this.position, this.position + raw.length);
+    token.raw = raw;
+    this.position += raw.length;
+  }
+
+  readIdentifier() {
+    IDENTIFIER_PATTERN.lastIndex = this.position;
+    const name = IDENTIFIER_PATTERN.exec(this.input)[0];
+    const type = KEYWORDS.has(name) ? 'Keyword' : 'Identifier';
+    this.pushToken(type, name, this.position, this.position + name.length);
+    this.position += name.length;
+  }
+
+  readChar() {
+    // Distinguishes character literals (`'a'`, `'\n'`) from type variables (`'a`).
+    const match = /^'(?:[^\\']|\\[^']+)'/.exec(this.input.slice(this.position, this.position + 12));
+    if (!match) return false;
+
+    const raw = match[0];
+    const body = raw.slice(1, -1);
+    const value = body[0] === '\\' ? this.readEscape(this.position + 1).value : body;
+    const token = this.pushToken('Char', value, this.position, this.position + raw.length);
+    token.raw = raw;
+    this.position += raw.length;
+    return true;
+  }
+
+  readPunctuator() {
+    const start = this.position;
+    const punctuator = PUNCTUATORS.find(candidate => this.input.startsWith(candidate, start));
+
+    if (punctuator) {
+      this.pushToken('Punctuator', punctuator, start, start + punctuator.length);
+      this.position += punctuator.length;
+      return;
+    }
+
+    const char = this.input[start];
+    if ('{}()[]<>,:;=.?~|#@%-+*/!&^\''.includes(char)) {
+      this.pushToken('Punctuator', char, start, start + 1);
+    } else {
+      this.addError(`Unexpected character '${char}'`, start);
+    }
+    this.position++;
+  }
+}
+
 class ReScriptParser {
   constructor(input, options = {}) {
     if (typeof input !== 'string') {
       throw new Error('Input must be a string');
     }
-    
+
+    if (options.output && options.output !== 'flow' && options.output !== 'typescript') {
+      throw new Error(`Unknown output '${options.output}'; expected 'flow' or 'typescript'`);
+    }
+
     this.input = input;
     this.filename = options.filename;
+    this.strict = !!options.strict;
+    this.validate = options.validate !== false;
+    this.output = options.output || 'flow';
+    // `.resi` interfaces declare values without a definition (`let m: option<spec>`).
+    this.isInterface = options.interface ?? /\.resi$/.test(options.filename || '');
     this.position = 0;
     this.lines = input.split('\n');
+    this.lineStarts = [0];
+    for (let i = 0; i < this.lines.length - 1; i++) {
+      this.lineStarts.push(this.lineStarts[i] + this.lines[i].length + 1);
+    }
     this.errors = [];
     this.sourceLength = input.length;
+    this.tokens = [];
+    this.tokenIndex = 0;
+    this.comments = [];
+    this.structureDepth = 0;
+    this.itemStartIndex = 0;
+    this.items = [];
+    this.typeRoles = new Map();
+    this.lookupExternals = new Map();
+    this.typeDeclarations = new Map();
+    this.declaredTypes = new Set();
+    this.hasForeignOpens = false;
+    this.componentTypes = new Set();
+    this.componentTypeContext = false;
   }
 
   parse() {
     try {
       const lineCount = this.lines.length;
       const endColumn = this.lines[lineCount - 1]?.length || 0;
-      
+      let body = this.parseProgram();
+      if (this.output === 'typescript') {
+        body = this.convertToTypeScript(body);
+      }
+      if (this.validate) {
+        this.validateProgram(body);
+      }
+
       return {
         type: 'Program',
         loc: {
@@ -34,16 +439,50 @@ class ReScriptParser {
           start: { line: 1, column: 0 },
           end: { line: lineCount, column: endColumn }
         },
-        body: this.parseProgram(),
-        comments: [],
+        body,
+        comments: this.comments,
         interpreter: null,
         range: [0, this.sourceLength],
         sourceType: 'module',
-        docblock: null
+        docblock: this.createDocblock(),
+        errors: this.errors
       };
     } catch (error) {
       this.addError(`Parse error: ${error.message}`, 0);
       return this.createErrorProgram();
+    } finally {
+      this.throwIfStrict();
+    }
+  }
+
+  convertToTypeScript(statements) {
+    const converter = new ReScriptTypeScriptConverter();
+    return statements
+      .map(statement => {
+        try {
+          return converter.convertStatement(statement);
+        } catch (error) {
+          this.addError(`TypeScript conversion error: ${error.message}`, statement.range[0]);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  validateProgram(body) {
+    try {
+      new ReScriptSpecValidator({ body }).validate().forEach(finding => {
+        this.addDiagnostic(finding.code, finding.severity, finding.message, finding.range[0], finding.range[1]);
+      });
+    } catch (error) {
+      this.addError(`Validation error: ${error.message}`, 0);
+    }
+  }
+
+  throwIfStrict() {
+    const errors = this.errors.filter(diagnostic => diagnostic.severity === 'error');
+    if (this.strict && errors.length > 0) {
+      throw new ReScriptParseError(errors, this.filename);
     }
   }
 
@@ -65,25 +504,51 @@ class ReScriptParser {
     };
   }
 
-  addError(message, position) {
+  addError(message, position, code = DIAGNOSTIC_CODES.INTERNAL_ERROR, end = position) {
+    this.addDiagnostic(code, 'error', message, position, end);
+  }
+
+  addWarning(message, position, code, end = position) {
+    this.addDiagnostic(code, 'warning', message, position, end);
+  }
+
+  addDiagnostic(code, severity, message, position, end = position) {
     const line = this.getLineNumber(position);
     const column = this.getColumnNumber(position);
-    
+
     this.errors.push({
+      code,
+      severity,
       message,
       line,
       column,
-      position
+      position,
+      loc: this.createPositionLoc(position, Math.max(position, end)),
+      range: this.createRange(position, end),
+      excerpt: this.createExcerpt(position, end)
     });
   }
 
+  createExcerpt(start, end) {
+    const line = this.getLineNumber(start);
+    const column = this.getColumnNumber(start);
+    const text = (this.lines[line - 1] || '').replace(/\r$/, '');
+    const gutter = String(line).length;
+    const width = Math.max(1, Math.min(end, start + text.length - column) - start);
+
+    return [
+      `> ${line} | ${text}`,
+      `  ${' '.repeat(gutter)} | ${text.slice(0, column).replace(/[^\t]/g, ' ')}${'^'.repeat(width)}`
+    ].join('\n');
+  }
+
   createLoc(startLine, startCol, endLine, endCol) {
     const maxLine = this.lines.length;
     const safeStartLine = Math.max(1, Math.min(startLine, maxLine));
     const safeEndLine = Math.max(1, Math.min(endLine, maxLine));
     const safeStartCol = Math.max(0, startCol);
     const safeEndCol = Math.max(0, endCol);
-    
+
     return {
       source: this.filename,
       start: { line: safeStartLine, column: safeStartCol },
@@ -97,879 +562,5086 @@ class ReScriptParser {
     return [safeStart, safeEnd];
   }
 
+  createPositionLoc(startPos, endPos) {
+    return this.createLoc(
+      this.getLineNumber(startPos),
+      this.getColumnNumber(startPos),
+      this.getLineNumber(endPos),
+      this.getColumnNumber(endPos)
+    );
+  }
+
+  createNodeLoc(node) {
+    return this.createPositionLoc(node.start, node.end);
+  }
+
+  createNodeRange(node) {
+    return this.createRange(node.start, node.end);
+  }
+
   parseProgram() {
     const statements = [];
-    
+
     try {
-      this.parseOpenStatements(statements);
-      this.parseTypeDefinitions(statements);
-      this.parseLetStatements(statements);
-      this.parseCodegenCalls(statements);
+      this.tokenize();
+      const items = this.flattenModules(this.parseStructure());
+      this.items = items;
+      this.lookupExternals = this.findLookupExternals(items);
+      this.typeRoles = this.findTypeRoles(items);
+      this.componentTypes = this.findComponentTypes(items);
+      this.typeDeclarations = new Map(items.filter(item => item.kind === 'TypeDeclaration').map(item => [item.name, item]));
+      this.declaredTypes = new Set(this.typeDeclarations.keys());
+      this.hasForeignOpens = items.some(item =>
+        item.kind === 'Open' && !['TurboModule', 'CodegenNativeComponent', 'CodegenNativeCommands'].includes(item.path[0])
+      );
+
+      items.forEach(item => {
+        let statement = null;
+
+        if (item.kind === 'Open') {
+          statement = this.createOpenStatement(item);
+        } else if (item.kind === 'TypeDeclaration') {
+          statement = this.createTypeDefinition(item);
+        } else if (item.kind === 'Let') {
+          statement = this.createLetStatement(item);
+        } else if (item.kind === 'External') {
+          statement = this.createExternalStatement(item);
+        }
+
+        if (statement) {
+          if (item.kind === 'TypeDeclaration') this.attachDocComment(statement, item);
+          if (item.modulePath) statement.rescriptModule = item.modulePath.join('.');
+          statements.push(statement);
+        }
+      });
+
+      this.checkSpecIsLoaded(items);
     } catch (error) {
       this.addError(`Program parsing error: ${error.message}`, 0);
     }
-    
+
     return statements;
   }
 
-  parseOpenStatements(statements) {
-    try {
-      const openTurboMatch = this.input.match(/open\s+TurboModule/);
-      if (openTurboMatch) {
-        const statement = this.createOpenStatement(openTurboMatch, 'TurboModule', 'type');
-        if (statement) statements.push(statement);
+  // Lifts the items of nested modules (`module Props = { type t = {...} }`) to the top level. Their
+  // types get flat names (`Props.t` -> `Props`, `Props.event` -> `Props_event`), type references are
+  // resolved through the enclosing modules and local `open`s, and each item keeps its `modulePath`.
+  flattenModules(items) {
+    const declaredTypes = new Map();
+    const localModules = new Set();
+
+    const collect = (structure, modulePath) => structure.forEach(item => {
+      if (item.kind === 'Module' && item.body) {
+        localModules.add(modulePath.concat(item.name).join('.'));
+        collect(item.body, modulePath.concat(item.name));
+      } else if (item.kind === 'TypeDeclaration') {
+        declaredTypes.set(modulePath.concat(item.name).join('.'), this.getModuleTypeName(modulePath, item.name));
       }
+    });
+    collect(items, []);
 
-      const openCodegenMatch = this.input.match(/open\s+CodegenNativeComponent/);
-      if (openCodegenMatch) {
-        const statement = this.createOpenStatement(openCodegenMatch, 'codegenNativeComponent', 'value');
-        if (statement) statements.push(statement);
+    const flattened = [];
+    const lift = (structure, modulePath, opened) => structure.forEach(item => {
+      if (item.kind === 'Module') {
+        if (item.body) lift(item.body, modulePath.concat(item.name), opened.slice());
+        return;
       }
-    } catch (error) {
-      this.addError(`Open statement parsing error: ${error.message}`, 0);
-    }
+
+      // A local module only needs to be opened for name resolution.
+      if (item.kind === 'Open') {
+        const openedModule = this.getScopes(modulePath, []).map(scope => scope.concat(item.path).join('.')).find(name => localModules.has(name));
+        if (openedModule) {
+          opened.push(openedModule.split('.'));
+          return;
+        }
+      }
+
+      this.resolveModuleTypes(item, this.getScopes(modulePath, opened), declaredTypes, localModules);
+      if (modulePath.length > 0) {
+        item.modulePath = modulePath;
+        if (item.kind === 'TypeDeclaration') {
+          item.localName = item.name;
+          item.name = this.getModuleTypeName(modulePath, item.name);
+        }
+      }
+      flattened.push(item);
+    });
+    lift(items, [], []);
+
+    return flattened;
   }
 
-  createOpenStatement(match, importName, importKind) {
-    try {
-      const startPos = this.input.indexOf(match[0]);
-      if (startPos === -1) return null;
-      
-      const endPos = startPos + match[0].length;
-      const startLine = this.getLineNumber(startPos);
-      const endLine = this.getLineNumber(endPos);
-      
-      return {
-        type: 'ImportDeclaration',
-        loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-        range: this.createRange(startPos, endPos),
-        specifiers: [{
-          type: 'ImportSpecifier',
-          loc: this.createLoc(startLine, this.getColumnNumber(startPos + 5), endLine, this.getColumnNumber(endPos)),
-          range: this.createRange(startPos + 5, endPos),
-          imported: { 
-            type: 'Identifier', 
-            name: importName,
-            loc: this.createLoc(startLine, this.getColumnNumber(startPos + 5), endLine, this.getColumnNumber(endPos)),
-            range: this.createRange(startPos + 5, endPos)
-          },
-          local: { 
-            type: 'Identifier', 
-            name: importName,
-            loc: this.createLoc(startLine, this.getColumnNumber(startPos + 5), endLine, this.getColumnNumber(endPos)),
-            range: this.createRange(startPos + 5, endPos)
-          }
-        }],
-        source: {
-          type: 'Literal',
-          value: 'react-native',
-          raw: "'react-native'",
-          loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-          range: this.createRange(startPos, endPos)
-        },
-        importKind: importKind
-      };
-    } catch (error) {
-      this.addError(`Error creating open statement: ${error.message}`, 0);
-      return null;
-    }
+  // Innermost module first, then opened modules, then the enclosing modules out to the top level.
+  getScopes(modulePath, opened) {
+    const enclosing = modulePath.map((_, index) => modulePath.slice(0, index)).reverse();
+    return [modulePath].concat(opened.slice().reverse(), enclosing);
   }
 
-  parseTypeDefinitions(statements) {
-    try {
-      const typeMatch = this.input.match(/type\s+(\w+)\s*=\s*\{([^}]+)\}/s);
-      if (!typeMatch) return;
-      
-      const typeName = typeMatch[1];
-      const typeBody = typeMatch[2];
-      
-      if (!typeName || !typeBody) {
-        this.addError('Invalid type definition structure', 0);
-        return;
-      }
-      
-      const startPos = this.input.indexOf(typeMatch[0]);
-      const endPos = startPos + typeMatch[0].length;
-      const startLine = this.getLineNumber(startPos);
-      const endLine = this.getLineNumber(endPos);
+  getModuleTypeName(modulePath, typeName) {
+    if (modulePath.length === 0) return typeName;
+    return typeName === 't' ? modulePath.join('_') : `${modulePath.join('_')}_${typeName}`;
+  }
 
-      const hasSpread = typeBody.includes('...turboModule') || typeBody.includes('...TurboModule.turboModule');
-      const hasViewProps = typeBody.includes('...View.viewProps');
-      
-      // For component props, parse properties differently
-      if (typeName === 'props' || hasViewProps) {
-        const properties = this.parseComponentProps(typeBody);
-        const statement = this.createTypeAliasStatement(typeName, properties, startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos), startPos, endPos);
-        if (statement) statements.push(statement);
-      } else {
-        // For TurboModule specs, parse as interface
-        const methods = this.parseMethodSignatures(typeBody);
-        const statement = this.createInterfaceStatement(typeName, methods, hasSpread, startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos), startPos, endPos);
-        if (statement) statements.push(statement);
+  resolveModuleTypes(node, scopes, declaredTypes, localModules) {
+    if (Array.isArray(node)) {
+      node.forEach(child => this.resolveModuleTypes(child, scopes, declaredTypes, localModules));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    if (node.kind === 'TypeConstructor') {
+      const qualifiedName = scopes.map(scope => scope.concat(node.path).join('.')).find(name => declaredTypes.has(name));
+      const typeName = qualifiedName && declaredTypes.get(qualifiedName);
+      if (typeName && typeName !== node.path.join('.')) {
+        const first = node.segments[0];
+        const last = node.segments[node.segments.length - 1];
+        node.path = [typeName];
+        node.segments = [{ name: typeName, start: first.start, end: last.end }];
+      } else if (!typeName && node.path.length > 1) {
+        // Unlike other qualified names, a local module can be checked.
+        const modulePath = node.path.slice(0, -1);
+        const localModule = scopes.map(scope => scope.concat(modulePath).join('.')).find(name => localModules.has(name));
+        if (localModule) {
+          this.addError(`Cannot find type '${node.path[node.path.length - 1]}' in module ${localModule}`, node.start, DIAGNOSTIC_CODES.UNKNOWN_TYPE, node.end);
+        }
       }
-    } catch (error) {
-      this.addError(`Type definition parsing error: ${error.message}`, 0);
     }
+
+    Object.keys(node).forEach(key => this.resolveModuleTypes(node[key], scopes, declaredTypes, localModules));
   }
 
-  createTypeAliasStatement(typeName, properties, startLine, startCol, endLine, endCol, startPos, endPos) {
-    try {
-      return {
-        type: 'ExportNamedDeclaration',
-        loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-        range: this.createRange(startPos, endPos),
-        declaration: {
-          type: 'TypeAlias',
-          loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-          range: this.createRange(startPos, endPos),
-          id: { 
-            type: 'Identifier', 
-            name: typeName,
-            loc: this.createLoc(startLine, this.getColumnNumber(startPos + 5), startLine, this.getColumnNumber(startPos + 5 + typeName.length)),
-            range: this.createRange(startPos + 5, startPos + 5 + typeName.length)
-          },
-          right: {
-            type: 'ObjectTypeAnnotation',
-            loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-            range: this.createRange(startPos, endPos),
-            properties: properties || [],
-            typeParameters: {
-              params: [
-                {
-                  properties: properties || []
-                }
-              ]
-            }
-          }
-        },
-        exportKind: 'type'
-      };
-    } catch (error) {
-      this.addError(`Error creating type alias statement: ${error.message}`, startPos);
+  createDocblock() {
+    // Only a comment that comes before any code describes the whole file.
+    const comment = this.comments[0];
+    if (!comment || comment.range[0] > this.tokens[0].start) {
       return null;
     }
+
+    const directives = {};
+    const directivePattern = /^[\s*]*@([\w-]+)[ \t]*(.*)$/gm;
+    let match;
+    while ((match = directivePattern.exec(comment.value)) !== null) {
+      directives[match[1]] = directives[match[1]] || [];
+      directives[match[1]].push(match[2].trim());
+    }
+
+    return { comment, directives };
   }
 
-  createInterfaceStatement(typeName, methods, hasSpread, startLine, startCol, endLine, endCol, startPos, endPos) {
-    try {
-      return {
-        type: 'ExportNamedDeclaration',
-        loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-        range: this.createRange(startPos, endPos),
-        declaration: {
-          type: 'InterfaceDeclaration',
-          loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-          range: this.createRange(startPos, endPos),
-          id: { 
-            type: 'Identifier', 
-            name: typeName.replace('spec', 'Spec'),
-            loc: this.createLoc(startLine, this.getColumnNumber(startPos + 5), startLine, this.getColumnNumber(startPos + 5 + typeName.length)),
-            range: this.createRange(startPos + 5, startPos + 5 + typeName.length)
-          },
-          extends: hasSpread ? [{
-            type: 'InterfaceExtends',
-            loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-            range: this.createRange(startPos, endPos),
-            id: { 
-              type: 'Identifier', 
-              name: 'TurboModule',
-              loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-              range: this.createRange(startPos, endPos)
-            }
-          }] : [],
-          body: {
-            type: 'ObjectTypeAnnotation',
-            loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-            range: this.createRange(startPos, endPos),
-            properties: methods || []
-          }
-        },
-        exportKind: 'type'
-      };
-    } catch (error) {
-      this.addError(`Error creating interface statement: ${error.message}`, startPos);
+  getDocComment(node) {
+    let comment = null;
+    for (const candidate of this.comments) {
+      if (candidate.range[1] > node.start) break;
+      if (candidate.type === 'Block' && candidate.value.startsWith('*')) comment = candidate;
+    }
+
+    // `/** ... */` documents the next declaration only when no code sits in between.
+    if (!comment) {
       return null;
     }
+    const separated = this.tokens.some(token => token.start >= comment.range[1] && token.start < node.start);
+    return separated ? null : comment;
   }
 
-  parseLetStatements(statements) {
-    try {
-      const letMatch = this.input.match(/let\s+(\w+).*=\s*(?:TurboModule\.)?get\("([^"]+)"\)/);
-      if (!letMatch) return;
-      
-      const varName = letMatch[1];
-      const moduleName = letMatch[2];
-      
-      if (!varName || !moduleName) {
-        this.addError('Invalid let statement structure', 0);
-        return;
-      }
-      
-      const startPos = this.input.indexOf(letMatch[0]);
-      const endPos = startPos + letMatch[0].length;
-      const startLine = this.getLineNumber(startPos);
-      const endLine = this.getLineNumber(endPos);
+  attachDocComment(node, source) {
+    const comment = this.getDocComment(source);
+    if (comment) {
+      node.leadingComments = [comment];
+    }
+    return node;
+  }
 
-      const statement = {
-        type: 'ExportDefaultDeclaration',
-        loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-        range: this.createRange(startPos, endPos),
-        declaration: {
-          type: 'CallExpression',
-          loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-          range: this.createRange(startPos, endPos),
-          callee: {
-            type: 'MemberExpression',
-            loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-            range: this.createRange(startPos, endPos),
-            object: {
-              type: 'Identifier',
-              name: 'TurboModuleRegistry',
-              loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-              range: this.createRange(startPos, endPos)
-            },
-            property: {
-              type: 'Identifier',
-              name: 'get',
-              loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-              range: this.createRange(startPos, endPos)
-            },
-            computed: false
-          },
-          arguments: [{
-            type: 'Literal',
-            value: moduleName,
-            raw: `"${moduleName}"`,
-            loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-            range: this.createRange(startPos, endPos)
-          }],
-          typeArguments: {
-            type: 'TypeParameterInstantiation',
-            params: [
-              {
-                type: 'GenericTypeAnnotation',
-                id: {
-                  name: 'Spec'
-                }
-              }
-            ]
-          }
-        }
-      };
-      
-      statements.push(statement);
-    } catch (error) {
-      this.addError(`Let statement parsing error: ${error.message}`, 0);
-    }
+  tokenize() {
+    const lexer = new ReScriptLexer(this.input);
+    this.tokens = lexer.tokenize();
+    this.tokenIndex = 0;
+    this.comments = lexer.comments.map(comment => ({
+      type: comment.type,
+      value: comment.value,
+      loc: this.createNodeLoc(comment),
+      range: this.createNodeRange(comment)
+    }));
+    lexer.errors.forEach(error => this.addDiagnostic(error.code, error.severity, error.message, error.position));
   }
 
-  parseCodegenCalls(statements) {
-    try {
-      const codegenMatch = this.input.match(/=\s*(?:CodegenNativeComponent\.)?codegenNativeComponent\("([^"]+)"/);
-      if (!codegenMatch) return;
-      
-      const componentName = codegenMatch[1];
-      
-      if (!componentName) {
-        this.addError('Invalid codegen component call structure', 0);
-        return;
-      }
-      
-      const startPos = this.input.indexOf(codegenMatch[0]);
-      const endPos = startPos + codegenMatch[0].length;
-      const startLine = this.getLineNumber(startPos);
-      const endLine = this.getLineNumber(endPos);
+  // Token navigation
 
-      const statement = {
-        type: 'ExportDefaultDeclaration',
-        loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-        range: this.createRange(startPos, endPos),
-        declaration: {
-          type: 'CallExpression',
-          loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-          range: this.createRange(startPos, endPos),
-          callee: {
-            type: 'Identifier',
-            name: 'codegenNativeComponent',
-            loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-            range: this.createRange(startPos, endPos)
-          },
-          arguments: [{
-            type: 'Literal',
-            value: componentName,
-            raw: `"${componentName}"`,
-            loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-            range: this.createRange(startPos, endPos)
-          }],
-          typeArguments: {
-            type: 'TypeParameterInstantiation',
-            params: [{
-              type: 'GenericTypeAnnotation',
-              id: {
-                type: 'Identifier',
-                name: 'props',
-                loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-                range: this.createRange(startPos, endPos)
-              },
-              loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-              range: this.createRange(startPos, endPos)
-            }],
-            loc: this.createLoc(startLine, this.getColumnNumber(startPos), endLine, this.getColumnNumber(endPos)),
-            range: this.createRange(startPos, endPos)
-          }
-        }
-      };
-      
-      statements.push(statement);
-    } catch (error) {
-      this.addError(`Codegen call parsing error: ${error.message}`, 0);
-    }
+  peek(offset = 0) {
+    const index = Math.max(0, Math.min(this.tokenIndex + offset, this.tokens.length - 1));
+    return this.tokens[index];
   }
 
-  parseMethodSignatures(typeBody) {
-    const methods = [];
-    
-    try {
-      const lines = typeBody.split('\n').map(line => line.trim()).filter(line => line);
-      let currentMethod = '';
-      let methodName = '';
-      let inMultiLineMethod = false;
-      let parenDepth = 0;
-      
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        
-        if (line.startsWith('...')) continue;
-        
-        const methodMatch = line.match(/^(\w+)\s*:\s*(.*)$/);
-        if (methodMatch && !inMultiLineMethod) {
-          if (currentMethod && methodName) {
-            const methodProperty = this.createMethodFromSignature(methodName, currentMethod);
-            if (methodProperty) methods.push(methodProperty);
-          }
-          
-          methodName = methodMatch[1];
-          currentMethod = methodMatch[2];
-          
-          parenDepth = (currentMethod.match(/\(/g) || []).length - (currentMethod.match(/\)/g) || []).length;
-          inMultiLineMethod = parenDepth > 0;
-          
-        } else if (inMultiLineMethod) {
-          currentMethod += ' ' + line;
-          parenDepth += (line.match(/\(/g) || []).length - (line.match(/\)/g) || []).length;
-          
-          if (parenDepth <= 0) {
-            inMultiLineMethod = false;
-            currentMethod = currentMethod.replace(/,\s*$/, '');
-          }
-        }
-      }
-      
-      if (currentMethod && methodName) {
-        const methodProperty = this.createMethodFromSignature(methodName, currentMethod);
-        if (methodProperty) methods.push(methodProperty);
-      }
-    } catch (error) {
-      this.addError(`Method signature parsing error: ${error.message}`, 0);
+  previous() {
+    return this.tokens[Math.max(0, this.tokenIndex - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'EOF') this.tokenIndex++;
+    return token;
+  }
+
+  isEOF() {
+    return this.peek().type === 'EOF';
+  }
+
+  isPunctuator(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'Punctuator' && token.value === value;
+  }
+
+  isKeyword(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'Keyword' && token.value === value;
+  }
+
+  eatPunctuator(value) {
+    return this.isPunctuator(value) ? this.next() : null;
+  }
+
+  eatKeyword(value) {
+    return this.isKeyword(value) ? this.next() : null;
+  }
+
+  expectPunctuator(value) {
+    if (!this.isPunctuator(value)) {
+      throw this.createSyntaxError(`Expected '${value}' but found ${this.describeToken(this.peek())}`);
     }
-    
-    return methods;
+    return this.next();
   }
 
-  createMethodFromSignature(methodName, signature) {
-    try {
-      const { params, returnType } = this.parseTypeSignature(signature);
-      return this.createMethodProperty(methodName, params, returnType);
-    } catch (error) {
-      this.addError(`Error creating method from signature: ${error.message}`, 0);
-      return null;
+  expectKeyword(value) {
+    if (!this.isKeyword(value)) {
+      throw this.createSyntaxError(`Expected '${value}' but found ${this.describeToken(this.peek())}`);
     }
+    return this.next();
   }
 
-  createMethodProperty(methodName, params, returnType) {
-    try {
-      return {
-        type: 'ObjectTypeProperty',
-        loc: this.createLoc(1, 0, 1, 0),
-        range: this.createRange(0, 0),
-        key: { 
-          type: 'Identifier', 
-          name: methodName,
-          loc: this.createLoc(1, 0, 1, 0),
-          range: this.createRange(0, 0)
-        },
-        value: {
-          type: 'FunctionTypeAnnotation',
-          loc: this.createLoc(1, 0, 1, 0),
-          range: this.createRange(0, 0),
-          params: params || [],
-          returnType: returnType || { type: 'VoidTypeAnnotation', loc: this.createLoc(1, 0, 1, 0), range: this.createRange(0, 0) }
-        },
-        method: true
-      };
-    } catch (error) {
-      this.addError(`Error creating method property: ${error.message}`, 0);
-      return null;
+  expectIdentifier() {
+    if (this.peek().type !== 'Identifier') {
+      throw this.createSyntaxError(`Expected an identifier but found ${this.describeToken(this.peek())}`);
     }
+    return this.next();
   }
 
-  parseTypeSignature(signature) {
-    const params = [];
-    let returnType = { type: 'VoidTypeAnnotation', loc: this.createLoc(1, 0, 1, 0), range: this.createRange(0, 0) };
-    
+  createSyntaxError(message, node = this.peek()) {
+    const error = new Error(message);
+    error.position = node.start;
+    error.end = node.end;
+    return error;
+  }
+
+  describeToken(token) {
+    if (token.type === 'EOF') return 'end of input';
+    if (token.type === 'String') return `string ${token.raw}`;
+    return `'${token.raw || token.value}'`;
+  }
+
+  isUppercaseIdentifier(token) {
+    return token.type === 'Identifier' && /^[A-Z]/.test(token.value);
+  }
+
+  isStructureItemStart(offset = 0) {
+    const token = this.peek(offset);
+    if (token.type === 'Keyword' && STRUCTURE_KEYWORDS.has(token.value)) return true;
+    if (token.type !== 'Punctuator' || token.value !== '@') return false;
+
+    // An attribute only starts an item when a structure keyword follows it,
+    // e.g. `@module("react-native") external ...`.
+    const savedIndex = this.tokenIndex;
     try {
-      const complexFunctionMatch = signature.match(/\(\(([^)]*)\)\s*=>\s*([^)]+)\)\s*=>\s*(.+)/);
-      if (complexFunctionMatch) {
-        const callbackParamStr = complexFunctionMatch[1];
-        const callbackReturnTypeStr = complexFunctionMatch[2].trim();
-        const mainReturnTypeStr = complexFunctionMatch[3].trim();
-        
-        if (callbackParamStr.trim()) {
-          const callbackParams = callbackParamStr.split(',').map(p => p.trim());
-          callbackParams.forEach((param, index) => {
-            const typeAnnotation = this.parseReScriptType(param);
-            params.push({
-              type: 'FunctionTypeParam',
-              name: { 
-                type: 'Identifier', 
-                name: `param${index}`,
-                loc: this.createLoc(1, 0, 1, 0),
-                range: this.createRange(0, 0)
-              },
-              typeAnnotation: typeAnnotation,
-              loc: this.createLoc(1, 0, 1, 0),
-              range: this.createRange(0, 0)
-            });
-          });
-        }
-        
-        const callbackType = {
-          type: 'FunctionTypeAnnotation',
-          params: params,
-          returnType: this.parseReScriptType(callbackReturnTypeStr),
-          loc: this.createLoc(1, 0, 1, 0),
-          range: this.createRange(0, 0)
-        };
-        
-        return {
-          params: [{
-            type: 'FunctionTypeParam',
-            name: { 
-              type: 'Identifier', 
-              name: 'callback',
-              loc: this.createLoc(1, 0, 1, 0),
-              range: this.createRange(0, 0)
-            },
-            typeAnnotation: callbackType,
-            loc: this.createLoc(1, 0, 1, 0),
-            range: this.createRange(0, 0)
-          }],
-          returnType: this.parseReScriptType(mainReturnTypeStr)
-        };
-      }
-      
-      const multiParamMatch = this.extractFunctionSignature(signature);
-      if (multiParamMatch) {
-        const paramStr = multiParamMatch[1];
-        const returnTypeStr = multiParamMatch[2].trim();
-        
-        const paramList = this.parseParameterList(paramStr);
-        paramList.forEach((param, index) => {
-          const typeAnnotation = this.parseReScriptType(param);
-          params.push({
-            type: 'FunctionTypeParam',
-            name: { 
-              type: 'Identifier', 
-              name: `param${index}`,
-              loc: this.createLoc(1, 0, 1, 0),
-              range: this.createRange(0, 0)
-            },
-            typeAnnotation: typeAnnotation,
-            loc: this.createLoc(1, 0, 1, 0),
-            range: this.createRange(0, 0)
-          });
-        });
-        
-        returnType = this.parseReScriptType(returnTypeStr);
-      } else {
-        const arrowMatch = signature.match(/(.+)\s*=>\s*(.+)/);
-        if (arrowMatch) {
-          const paramType = arrowMatch[1].trim();
-          const returnTypeStr = arrowMatch[2].trim();
-          
-          params.push({
-            type: 'FunctionTypeParam',
-            name: { 
-              type: 'Identifier', 
-              name: 'param0',
-              loc: this.createLoc(1, 0, 1, 0),
-              range: this.createRange(0, 0)
-            },
-            typeAnnotation: this.parseReScriptType(paramType),
-            loc: this.createLoc(1, 0, 1, 0),
-            range: this.createRange(0, 0)
-          });
-          
-          returnType = this.parseReScriptType(returnTypeStr);
-        }
-      }
+      this.tokenIndex += offset;
+      this.parseAttributes();
+      const following = this.peek();
+      return following.type === 'Keyword' && STRUCTURE_KEYWORDS.has(following.value);
     } catch (error) {
-      this.addError(`Type signature parsing error: ${error.message}`, 0);
+      return false;
+    } finally {
+      this.tokenIndex = savedIndex;
     }
-    
-    return { params, returnType };
   }
 
-  extractFunctionSignature(signature) {
-    try {
-      if (!signature.startsWith('(')) {
-        return null;
+  isStructureBoundary() {
+    return (
+      this.isEOF() ||
+      this.isPunctuator(';') ||
+      (this.structureDepth > 0 && this.isPunctuator('}')) ||
+      this.isStructureItemStart()
+    );
+  }
+
+  skipToStructureBoundary(recoveryColumn = null) {
+    let depth = 0;
+
+    while (!this.isEOF()) {
+      const token = this.peek();
+
+      if (depth === 0 && (this.isPunctuator(';') || this.isStructureItemStart())) break;
+
+      // Unbalanced brackets in broken code would swallow the rest of the file,
+      // so while recovering, an item keyword that starts a line at (or left of)
+      // the failed item's indentation also ends the skip.
+      if (recoveryColumn !== null && this.isStructureItemStart() && this.startsLine(token) &&
+          this.getColumnNumber(token.start) <= recoveryColumn) {
+        break;
       }
-      
-      let depth = 0;
-      let paramEnd = -1;
-      
-      for (let i = 0; i < signature.length; i++) {
-        const char = signature[i];
-        if (char === '(') {
+
+      if (token.type === 'Punctuator') {
+        if ('({['.includes(token.value)) {
           depth++;
-        } else if (char === ')') {
-          depth--;
-          if (depth === 0) {
-            paramEnd = i;
-            break;
-          }
+        } else if (')}]'.includes(token.value)) {
+          if (depth === 0 && token.value === '}' && this.structureDepth > 0) break;
+          depth = Math.max(0, depth - 1);
         }
       }
-      
-      if (paramEnd === -1) {
-        return null;
-      }
-      
-      const paramStr = signature.substring(1, paramEnd);
-      const remaining = signature.substring(paramEnd + 1).trim();
-      
-      if (!remaining.startsWith('=>')) {
-        return null;
-      }
-      
-      const returnTypeStr = remaining.substring(2).trim();
-      return [signature, paramStr, returnTypeStr];
-    } catch (error) {
-      this.addError(`Function signature extraction error: ${error.message}`, 0);
-      return null;
+
+      this.next();
     }
   }
 
-  parseParameterList(paramStr) {
-    const params = [];
-    let current = '';
+  startsLine(token) {
+    const previous = this.tokens[this.tokens.indexOf(token, this.tokenIndex) - 1];
+    return !previous || this.getLineNumber(previous.end) < this.getLineNumber(token.start);
+  }
+
+  skipBalanced(open, close) {
     let depth = 0;
-    
-    try {
-      for (let i = 0; i < paramStr.length; i++) {
-        const char = paramStr[i];
-        
-        if (char === '(') {
-          depth++;
-          current += char;
-        } else if (char === ')') {
-          depth--;
-          current += char;
-        } else if (char === ',' && depth === 0) {
-          if (current.trim()) {
-            params.push(current.trim());
-          }
-          current = '';
-        } else {
-          current += char;
+
+    do {
+      const token = this.next();
+      if (token.type === 'Punctuator' && token.value === open) depth++;
+      if (token.type === 'Punctuator' && token.value === close) depth--;
+    } while (depth > 0 && !this.isEOF());
+  }
+
+  // Structure items
+
+  parseStructure() {
+    const items = [];
+
+    while (!this.isEOF() && !(this.structureDepth > 0 && this.isPunctuator('}'))) {
+      if (this.eatPunctuator(';')) continue;
+
+      const startIndex = this.tokenIndex;
+      this.itemStartIndex = startIndex;
+      try {
+        const item = this.parseStructureItem();
+        if (Array.isArray(item)) {
+          items.push(...item);
+        } else if (item) {
+          items.push(item);
         }
+      } catch (error) {
+        const position = error.position ?? this.peek().start;
+        this.addError(`Syntax error: ${error.message}`, position, DIAGNOSTIC_CODES.SYNTAX_ERROR, error.end ?? position);
+        // Resume after the item keyword so that its own attributes are not re-read.
+        this.tokenIndex = Math.max(startIndex, this.itemStartIndex);
+        const recoveryColumn = this.getColumnNumber(this.next().start);
+        this.skipToStructureBoundary(recoveryColumn);
       }
-      
-      if (current.trim()) {
-        params.push(current.trim());
-      }
-    } catch (error) {
-      this.addError(`Parameter list parsing error: ${error.message}`, 0);
     }
-    
-    return params;
+
+    return items;
   }
 
-  parseComponentProps(typeBody) {
-    const properties = [];
-    
-    try {
-      const lines = typeBody.split('\n').map(line => line.trim()).filter(line => line);
-      
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        
-        if (line.startsWith('...View.viewProps')) {
-          properties.push({
-            type: 'ObjectTypeSpreadProperty',
-            argument: {
-              type: 'MemberExpression',
-              object: {
-                type: 'Identifier',
-                name: 'View',
-                loc: this.createLoc(1, 0, 1, 0),
-                range: this.createRange(0, 0)
-              },
-              property: {
-                type: 'Identifier',
-                name: 'viewProps',
-                loc: this.createLoc(1, 0, 1, 0),
-                range: this.createRange(0, 0)
-              },
-              id: {
-                name: 'ViewProps'
-              },
-              computed: false,
-              loc: this.createLoc(1, 0, 1, 0),
-              range: this.createRange(0, 0)
-            },
-            loc: this.createLoc(1, 0, 1, 0),
-            range: this.createRange(0, 0)
-          });
-          continue;
-        }
-        
-        const propMatch = line.match(/^(\w+)(\?)?:\s*(.+),?$/);
-        if (propMatch) {
-          const propName = propMatch[1];
-          const isOptional = !!propMatch[2];
-          const propType = propMatch[3].replace(/,$/, '');
-          
-          if (propName && propType) {
-            properties.push({
-              type: 'ObjectTypeProperty',
-              key: {
-                type: 'Identifier',
-                name: propName,
-                loc: this.createLoc(1, 0, 1, 0),
-                range: this.createRange(0, 0)
-              },
-              value: this.parseReScriptType(propType),
-              optional: isOptional,
-              loc: this.createLoc(1, 0, 1, 0),
-              range: this.createRange(0, 0)
-            });
-          }
-        }
+  parseStructureItem() {
+    const attributes = this.parseAttributes();
+    const token = this.peek();
+    this.itemStartIndex = this.tokenIndex;
+
+    if (token.type === 'Keyword') {
+      switch (token.value) {
+        case 'open':
+          return this.parseOpen(attributes);
+        case 'type':
+          return this.parseTypeDeclaration(attributes);
+        case 'let':
+          return this.parseLet(attributes);
+        case 'external':
+          return this.parseExternal(attributes);
+        case 'module':
+          return this.parseModule(attributes);
       }
-    } catch (error) {
-      this.addError(`Component props parsing error: ${error.message}`, 0);
     }
-    
-    return properties;
+
+    // Floating attributes such as `@@warning("-27")` stand on their own.
+    if (attributes.length > 0 && attributes.every(attribute => attribute.floating)) {
+      return null;
+    }
+
+    // Anything else (`include`, `exception`, top-level expressions) carries no
+    // spec information and is skipped.
+    this.next();
+    this.skipToStructureBoundary();
+    return null;
   }
 
-  parseReScriptType(typeStr) {
-    try {
-      typeStr = typeStr.trim();
-      
-      if (typeStr === 'unit') {
-        return { 
-          type: 'VoidTypeAnnotation',
-          loc: this.createLoc(1, 0, 1, 0),
-          range: this.createRange(0, 0)
-        };
-      }
-      
-      if (typeStr === 'string') {
-        return { 
-          type: 'StringTypeAnnotation',
-          loc: this.createLoc(1, 0, 1, 0),
-          range: this.createRange(0, 0)
-        };
-      }
-      
-      const functionTypeMatch = typeStr.match(/\(([^)]*)\)\s*=>\s*(.+)/);
-      if (functionTypeMatch) {
-        const paramStr = functionTypeMatch[1];
-        const returnTypeStr = functionTypeMatch[2].trim();
-        
-        const params = [];
-        if (paramStr.trim()) {
-          const paramList = paramStr.split(',').map(p => p.trim());
-          paramList.forEach((param, index) => {
-            const typeAnnotation = this.parseReScriptType(param);
-            params.push({
-              type: 'FunctionTypeParam',
-              name: { 
-                type: 'Identifier', 
-                name: `param${index}`,
-                loc: this.createLoc(1, 0, 1, 0),
-                range: this.createRange(0, 0)
-              },
-              typeAnnotation: typeAnnotation,
-              loc: this.createLoc(1, 0, 1, 0),
-              range: this.createRange(0, 0)
-            });
-          });
-        }
-        
-        return {
-          type: 'FunctionTypeAnnotation',
-          params: params,
-          returnType: this.parseReScriptType(returnTypeStr),
-          loc: this.createLoc(1, 0, 1, 0),
-          range: this.createRange(0, 0)
-        };
-      }
-      
-      const simpleFunctionMatch = typeStr.match(/^(.+)\s*=>\s*(.+)$/);
-      if (simpleFunctionMatch) {
-        const paramTypeStr = simpleFunctionMatch[1].trim();
-        const returnTypeStr = simpleFunctionMatch[2].trim();
-        
-        const params = [];
-        if (paramTypeStr !== 'unit') {
-          params.push({
-            type: 'FunctionTypeParam',
-            name: { 
-              type: 'Identifier', 
-              name: 'param0',
-              loc: this.createLoc(1, 0, 1, 0),
-              range: this.createRange(0, 0)
-            },
-            typeAnnotation: this.parseReScriptType(paramTypeStr),
-            loc: this.createLoc(1, 0, 1, 0),
-            range: this.createRange(0, 0)
-          });
-        }
-        
-        return {
-          type: 'FunctionTypeAnnotation',
-          params: params,
-          returnType: this.parseReScriptType(returnTypeStr),
-          loc: this.createLoc(1, 0, 1, 0),
-          range: this.createRange(0, 0)
-        };
-      }
-      
-      const optionMatch = typeStr.match(/option<(.+)>/);
-      if (optionMatch) {
-        return {
-          type: 'NullableTypeAnnotation',
-          typeAnnotation: this.parseReScriptType(optionMatch[1]),
-          loc: this.createLoc(1, 0, 1, 0),
-          range: this.createRange(0, 0)
-        };
-      }
-      
-      const arrayMatch = typeStr.match(/array<(.+)>/);
-      if (arrayMatch) {
-        return {
-          type: 'ArrayTypeAnnotation',
-          elementType: this.parseReScriptType(arrayMatch[1]),
-          loc: this.createLoc(1, 0, 1, 0),
-          range: this.createRange(0, 0)
-        };
-      }
-      
-      const dictMatch = typeStr.match(/Js\.Dict\.t<(.+)>/);
-      if (dictMatch) {
-        return {
-          type: 'ObjectTypeAnnotation',
-          properties: [],
-          indexers: [{
-            type: 'ObjectTypeIndexer',
-            key: { type: 'StringTypeAnnotation' },
-            value: this.parseReScriptType(dictMatch[1]),
-            loc: this.createLoc(1, 0, 1, 0),
-            range: this.createRange(0, 0)
-          }],
-          loc: this.createLoc(1, 0, 1, 0),
-          range: this.createRange(0, 0)
-        };
+  parseAttributes() {
+    const attributes = [];
+
+    while (this.isPunctuator('@')) {
+      const start = this.next().start;
+      const floating = !!this.eatPunctuator('@');
+      const nameParts = [this.expectAttributeName()];
+
+      while (this.isPunctuator('.') && this.peek().start === this.previous().end) {
+        this.next();
+        nameParts.push(this.expectAttributeName());
       }
-      
-      if (typeStr === 'Js.Json.t') {
-        return {
-          type: 'MixedTypeAnnotation',
-          loc: this.createLoc(1, 0, 1, 0),
-          range: this.createRange(0, 0)
-        };
+
+      // A payload has to touch the attribute name: `@as("x")`, not `@as ("x")`.
+      let payload = null;
+      if (this.isPunctuator('(') && this.peek().start === this.previous().end) {
+        payload = this.parseAttributePayload();
       }
-      
-      return { 
-        type: 'VoidTypeAnnotation',
-        loc: this.createLoc(1, 0, 1, 0),
-        range: this.createRange(0, 0)
-      };
-    } catch (error) {
-      this.addError(`ReScript type parsing error: ${error.message}`, 0);
-      return { 
-        type: 'VoidTypeAnnotation',
-        loc: this.createLoc(1, 0, 1, 0),
-        range: this.createRange(0, 0)
-      };
+
+      attributes.push({
+        name: nameParts.join('.'),
+        payload,
+        floating,
+        start,
+        end: this.previous().end
+      });
     }
+
+    return attributes;
   }
 
-  getLineNumber(position) {
-    try {
-      let currentPos = 0;
-      for (let i = 0; i < this.lines.length; i++) {
-        if (currentPos + this.lines[i].length >= position) {
-          return i + 1;
-        }
-        currentPos += this.lines[i].length + 1;
-      }
-      return this.lines.length;
-    } catch (error) {
-      this.addError(`Line number calculation error: ${error.message}`, position);
-      return 1;
+  expectAttributeName() {
+    const token = this.peek();
+    if (token.type !== 'Identifier' && token.type !== 'Keyword') {
+      throw this.createSyntaxError(`Expected an attribute name but found ${this.describeToken(token)}`);
     }
+    return this.next().value;
   }
 
-  getColumnNumber(position) {
+  parseAttributePayload() {
+    const startIndex = this.tokenIndex;
+
     try {
-      let currentPos = 0;
-      for (let i = 0; i < this.lines.length; i++) {
-        if (currentPos + this.lines[i].length >= position) {
-          return position - currentPos;
-        }
-        currentPos += this.lines[i].length + 1;
+      this.expectPunctuator('(');
+      const payload = [];
+      while (!this.isPunctuator(')')) {
+        payload.push(this.parseExpression());
+        if (!this.eatPunctuator(',')) break;
       }
-      return 0;
+      this.expectPunctuator(')');
+      return payload;
     } catch (error) {
-      this.addError(`Column number calculation error: ${error.message}`, position);
-      return 0;
+      // Payloads we do not model (patterns, type payloads) are kept opaque.
+      this.tokenIndex = startIndex;
+      this.skipBalanced('(', ')');
+      return [];
     }
   }
 
-  getErrors() {
-    return this.errors;
-  }
-}
+  parseOpen(attributes) {
+    const start = this.expectKeyword('open').start;
+    this.eatPunctuator('!');
+
+    const pathStart = this.peek().start;
+    const path = [this.expectIdentifier().value];
+    while (this.eatPunctuator('.')) {
+      path.push(this.expectIdentifier().value);
+    }
 
-function parse(input, options = {}) {
-  try {
-    const parser = new ReScriptParser(input, options);
-    return parser.parse();
-  } catch (error) {
     return {
-      type: 'Program',
-      loc: {
-        source: options.filename,
-        start: { line: 1, column: 0 },
-        end: { line: 1, column: 0 }
-      },
-      body: [],
-      comments: [],
-      interpreter: null,
+      kind: 'Open',
+      path,
+      attributes,
+      pathStart,
+      start: attributes[0]?.start ?? start,
+      end: this.previous().end
+    };
+  }
+
+  parseTypeDeclaration(attributes) {
+    const start = attributes[0]?.start ?? this.peek().start;
+    const declarations = [];
+
+    this.expectKeyword('type');
+    this.eatKeyword('rec');
+
+    do {
+      const declarationStart = declarations.length > 0 ? this.peek().start : start;
+      const declarationAttributes = declarations.length > 0 ? this.parseAttributes() : attributes;
+      const nameToken = this.expectIdentifier();
+      const params = this.parseTypeParameters();
+      let body = null;
+
+      if (this.eatPunctuator('=')) {
+        this.eatKeyword('private');
+        body = this.parseTypeDeclarationBody();
+
+        // `type t = Other.t = {...}` re-exports a type; the representation wins.
+        if (this.eatPunctuator('=')) {
+          this.eatKeyword('private');
+          body = this.parseTypeDeclarationBody();
+        }
+      }
+
+      while (this.eatKeyword('constraint')) {
+        this.parseTypeExpression();
+        this.expectPunctuator('=');
+        this.parseTypeExpression();
+      }
+
+      declarations.push({
+        kind: 'TypeDeclaration',
+        name: nameToken.value,
+        nameStart: nameToken.start,
+        nameEnd: nameToken.end,
+        params,
+        body,
+        attributes: declarationAttributes,
+        start: declarationStart,
+        end: this.previous().end
+      });
+    } while (this.eatKeyword('and'));
+
+    return declarations;
+  }
+
+  parseTypeParameters() {
+    const params = [];
+    if (!this.eatPunctuator('<')) return params;
+
+    while (!this.isPunctuator('>')) {
+      // Variance annotations (`+'a`, `-'a`) do not matter for specs.
+      if (!this.eatPunctuator('+')) this.eatPunctuator('-');
+      this.expectPunctuator("'");
+      params.push(this.expectIdentifier().value);
+      if (!this.eatPunctuator(',')) break;
+    }
+
+    this.expectPunctuator('>');
+    return params;
+  }
+
+  parseTypeDeclarationBody() {
+    if (this.isPunctuator('..')) {
+      const token = this.next();
+      return { kind: 'Extensible', start: token.start, end: token.end };
+    }
+
+    // Constructors may carry attributes (`@as("x") Foo`), so look past them.
+    const startIndex = this.tokenIndex;
+    this.parseAttributes();
+
+    if (this.isPunctuator('|') || (this.isUppercaseIdentifier(this.peek()) && !this.isPunctuator('.', 1))) {
+      this.tokenIndex = startIndex;
+      return this.parseVariantType();
+    }
+
+    return this.parseTypeExpression();
+  }
+
+  parseVariantType() {
+    const start = this.peek().start;
+    const constructors = [];
+
+    this.eatPunctuator('|');
+    do {
+      const constructorStart = this.peek().start;
+      const attributes = this.parseAttributes();
+      const nameToken = this.next();
+
+      if (!this.isUppercaseIdentifier(nameToken)) {
+        throw this.createSyntaxError(`Expected a variant constructor but found ${this.describeToken(nameToken)}`, nameToken);
+      }
+
+      let args = [];
+      if (this.isPunctuator('(')) {
+        args = this.parseParenthesizedTypes().items.map(item => item.type);
+      }
+
+      constructors.push({
+        name: nameToken.value,
+        args,
+        attributes,
+        start: constructorStart,
+        end: this.previous().end
+      });
+    } while (this.eatPunctuator('|'));
+
+    return { kind: 'Variant', constructors, start, end: this.previous().end };
+  }
+
+  parseLet(attributes) {
+    const start = attributes[0]?.start ?? this.peek().start;
+
+    this.expectKeyword('let');
+    this.eatKeyword('rec');
+
+    // Destructuring and other patterns never declare a spec binding.
+    if (this.peek().type !== 'Identifier') {
+      this.skipToStructureBoundary();
+      return null;
+    }
+
+    const nameToken = this.next();
+    let typeAnnotation = null;
+    if (this.eatPunctuator(':')) {
+      typeAnnotation = this.parseTypeExpression();
+    }
+
+    if (this.isInterface && typeAnnotation && !this.isPunctuator('=')) {
+      return {
+        kind: 'Let',
+        name: nameToken.value,
+        nameStart: nameToken.start,
+        nameEnd: nameToken.end,
+        typeAnnotation,
+        init: null,
+        attributes,
+        start,
+        end: this.previous().end
+      };
+    }
+
+    this.expectPunctuator('=');
+
+    const initIndex = this.tokenIndex;
+    let init;
+    try {
+      init = this.parseExpression();
+      if (!this.isStructureBoundary()) {
+        throw this.createSyntaxError('Unsupported expression');
+      }
+    } catch (error) {
+      // Arbitrary implementation code is valid ReScript; it is just not part of a spec.
+      this.tokenIndex = initIndex;
+      const initStart = this.peek().start;
+      this.skipToStructureBoundary();
+      init = { kind: 'Unknown', start: initStart, end: this.previous().end };
+    }
+
+    return {
+      kind: 'Let',
+      name: nameToken.value,
+      nameStart: nameToken.start,
+      nameEnd: nameToken.end,
+      typeAnnotation,
+      init,
+      attributes,
+      start,
+      end: this.previous().end
+    };
+  }
+
+  parseExternal(attributes) {
+    const start = attributes[0]?.start ?? this.peek().start;
+
+    this.expectKeyword('external');
+    const nameToken = this.expectIdentifier();
+    this.expectPunctuator(':');
+    const typeAnnotation = this.parseTypeExpression();
+    this.expectPunctuator('=');
+
+    const primitives = [];
+    do {
+      if (this.peek().type !== 'String') {
+        throw this.createSyntaxError(`Expected an external primitive string but found ${this.describeToken(this.peek())}`);
+      }
+      primitives.push(this.next().value);
+    } while (this.peek().type === 'String');
+
+    return {
+      kind: 'External',
+      name: nameToken.value,
+      nameStart: nameToken.start,
+      nameEnd: nameToken.end,
+      typeAnnotation,
+      primitives,
+      attributes,
+      start,
+      end: this.previous().end
+    };
+  }
+
+  parseModule(attributes) {
+    const start = attributes[0]?.start ?? this.peek().start;
+
+    this.expectKeyword('module');
+    if (this.isKeyword('type')) {
+      this.skipToStructureBoundary();
+      return null;
+    }
+    this.eatKeyword('rec');
+
+    const nameToken = this.next();
+    if (!this.isUppercaseIdentifier(nameToken)) {
+      throw this.createSyntaxError(`Expected a module name but found ${this.describeToken(nameToken)}`, nameToken);
+    }
+
+    // Module type constraints (`module M: S = ...`) are not needed to read specs, but in an
+    // interface the signature (`module M: {...}`) is all there is.
+    let body = null;
+    if (this.eatPunctuator(':')) {
+      if (this.isPunctuator('{') && this.isInterface) {
+        body = this.parseModuleBody();
+      } else if (this.isPunctuator('{')) {
+        this.skipBalanced('{', '}');
+      } else {
+        this.parseModulePath();
+      }
+    }
+
+    if (!body) {
+      this.expectPunctuator('=');
+      if (this.isPunctuator('{')) {
+        body = this.parseModuleBody();
+      } else {
+        this.skipToStructureBoundary();
+      }
+    }
+
+    return {
+      kind: 'Module',
+      name: nameToken.value,
+      nameStart: nameToken.start,
+      nameEnd: nameToken.end,
+      body,
+      attributes,
+      start,
+      end: this.previous().end
+    };
+  }
+
+  parseModuleBody() {
+    this.expectPunctuator('{');
+    const itemStartIndex = this.itemStartIndex;
+    let body;
+    this.structureDepth++;
+    try {
+      body = this.parseStructure();
+    } finally {
+      this.structureDepth--;
+      this.itemStartIndex = itemStartIndex;
+    }
+    this.expectPunctuator('}');
+    return body;
+  }
+
+  parseModulePath(segments = []) {
+    const first = this.expectIdentifier();
+    segments.push({ name: first.value, start: first.start, end: first.end });
+
+    while (this.isPunctuator('.') && this.peek(1).type === 'Identifier') {
+      this.next();
+      const segment = this.next();
+      segments.push({ name: segment.value, start: segment.start, end: segment.end });
+    }
+
+    return segments.map(segment => segment.name);
+  }
+
+  // Type expressions
+
+  parseTypeExpression() {
+    const start = this.peek().start;
+
+    if (this.isPunctuator('(')) {
+      const group = this.parseParenthesizedTypes();
+
+      if (this.eatPunctuator('=>')) {
+        const returnType = this.parseTypeExpression();
+        return { kind: 'Arrow', params: group.items, returnType, start, end: returnType.end };
+      }
+
+      const labeled = group.items.find(item => item.label);
+      if (labeled) {
+        throw this.createSyntaxError('Labeled arguments are only allowed in function types', labeled);
+      }
+
+      if (group.items.length === 0) {
+        return { kind: 'TypeConstructor', path: ['unit'], args: [], start, end: group.end };
+      }
+      if (group.items.length === 1) {
+        return group.items[0].type;
+      }
+      return { kind: 'Tuple', items: group.items.map(item => item.type), start, end: group.end };
+    }
+
+    const type = this.parseNonArrowType();
+    if (this.eatPunctuator('=>')) {
+      const returnType = this.parseTypeExpression();
+      return {
+        kind: 'Arrow',
+        params: [{ label: null, name: null, optional: false, type, start: type.start, end: type.end }],
+        returnType,
+        start,
+        end: returnType.end
+      };
+    }
+
+    return type;
+  }
+
+  parseParenthesizedTypes() {
+    const start = this.expectPunctuator('(').start;
+    const uncurried = !!this.eatPunctuator('.');
+    const items = [];
+
+    while (!this.isPunctuator(')')) {
+      const itemStart = this.peek().start;
+      // Externals pass constants as attributed placeholders: `(@as("Name") _, unit)`.
+      const attributes = this.parseAttributes();
+      let label = null;
+      let name = null;
+      let optional = false;
+      let type;
+
+      if (this.eatPunctuator('~')) {
+        name = this.expectIdentifier();
+        label = name.value;
+        this.expectPunctuator(':');
+        type = this.parseTypeExpression();
+        if (this.isPunctuator('=') && this.isPunctuator('?', 1)) {
+          this.next();
+          this.next();
+          optional = true;
+        }
+      } else {
+        // Unlabeled parameters may still be named for documentation: `(key: string) => unit`.
+        if (this.peek().type === 'Identifier' && this.isPunctuator(':', 1)) {
+          name = this.next();
+          this.next();
+        }
+        type = this.parseTypeExpression();
+      }
+
+      items.push({
+        label,
+        name: name ? { name: name.value, start: name.start, end: name.end } : null,
+        optional,
+        type,
+        attributes,
+        start: itemStart,
+        end: this.previous().end
+      });
+      if (!this.eatPunctuator(',')) break;
+    }
+
+    const end = this.expectPunctuator(')').end;
+    return { items, uncurried, start, end };
+  }
+
+  parseNonArrowType() {
+    const token = this.peek();
+
+    if (token.type === 'Punctuator') {
+      switch (token.value) {
+        case "'": {
+          this.next();
+          const name = this.expectIdentifier();
+          return { kind: 'TypeVar', name: name.value, start: token.start, end: name.end };
+        }
+        case '{':
+          return this.parseRecordOrObjectType();
+        case '[':
+          return this.parsePolyVariantType();
+        case '(':
+          return this.parseTypeExpression();
+      }
+    }
+
+    if (token.type === 'Identifier') {
+      return this.parseTypeConstructor();
+    }
+
+    throw this.createSyntaxError(`Unexpected ${this.describeToken(token)} in type`, token);
+  }
+
+  parseTypeConstructor() {
+    const start = this.peek().start;
+    const segments = [];
+    const path = this.parseModulePath(segments);
+    const args = [];
+    const argsStart = this.peek().start;
+
+    if (this.eatPunctuator('<')) {
+      while (!this.isPunctuator('>')) {
+        args.push(this.parseTypeExpression());
+        if (!this.eatPunctuator(',')) break;
+      }
+      this.expectPunctuator('>');
+    }
+
+    return { kind: 'TypeConstructor', path, segments, args, argsStart, start, end: this.previous().end };
+  }
+
+  parseRecordOrObjectType() {
+    const start = this.expectPunctuator('{').start;
+    const fields = [];
+    let isObject = false;
+    let open = false;
+
+    if (this.eatPunctuator('..')) {
+      isObject = true;
+      open = true;
+    } else if (this.eatPunctuator('.')) {
+      isObject = true;
+    }
+
+    while (!this.isPunctuator('}')) {
+      const fieldStart = this.peek().start;
+
+      if (this.eatPunctuator('...')) {
+        const type = this.parseNonArrowType();
+        fields.push({ kind: 'Spread', type, start: fieldStart, end: this.previous().end });
+      } else {
+        const attributes = this.parseAttributes();
+        const mutable = !!this.eatKeyword('mutable');
+        const keyToken = this.next();
+
+        if (keyToken.type === 'String') {
+          isObject = true;
+        } else if (keyToken.type !== 'Identifier') {
+          throw this.createSyntaxError(`Expected a field name but found ${this.describeToken(keyToken)}`, keyToken);
+        }
+
+        const optional = !!this.eatPunctuator('?');
+        this.expectPunctuator(':');
+        const type = this.parseTypeExpression();
+
+        fields.push({
+          kind: 'Field',
+          name: keyToken.value,
+          nameStart: keyToken.start,
+          nameEnd: keyToken.end,
+          optional,
+          mutable,
+          attributes,
+          type,
+          start: fieldStart,
+          end: this.previous().end
+        });
+      }
+
+      if (!this.eatPunctuator(',')) break;
+    }
+
+    const end = this.expectPunctuator('}').end;
+    return { kind: isObject ? 'Object' : 'Record', fields, open, start, end };
+  }
+
+  parsePolyVariantType() {
+    const start = this.expectPunctuator('[').start;
+    let bound = null;
+
+    if (this.eatPunctuator('>')) {
+      bound = 'lower';
+    } else if (this.eatPunctuator('<')) {
+      bound = 'upper';
+    }
+
+    const tags = [];
+    this.eatPunctuator('|');
+
+    while (!this.isPunctuator(']')) {
+      const tagStart = this.peek().start;
+      const attributes = this.parseAttributes();
+
+      if (this.eatPunctuator('#')) {
+        const nameToken = this.next();
+        if (!['Identifier', 'Keyword', 'String', 'Number'].includes(nameToken.type)) {
+          throw this.createSyntaxError(`Expected a polymorphic variant tag but found ${this.describeToken(nameToken)}`, nameToken);
+        }
+
+        let args = [];
+        if (this.isPunctuator('(') && this.peek().start === nameToken.end) {
+          args = this.parseParenthesizedTypes().items.map(item => item.type);
+        }
+
+        tags.push({
+          kind: 'Tag',
+          name: String(nameToken.value),
+          numeric: nameToken.type === 'Number',
+          args,
+          attributes,
+          start: tagStart,
+          end: this.previous().end
+        });
+      } else {
+        const type = this.parseNonArrowType();
+        tags.push({ kind: 'Inherit', type, attributes, start: tagStart, end: type.end });
+      }
+
+      if (!this.eatPunctuator('|')) break;
+    }
+
+    // `[< #a | #b > #a]` lists the tags that must be present; they are already listed.
+    if (this.eatPunctuator('>')) {
+      while (!this.isPunctuator(']') && !this.isEOF()) this.next();
+    }
+
+    const end = this.expectPunctuator(']').end;
+    return { kind: 'PolyVariant', tags, bound, start, end };
+  }
+
+  // Expressions
+
+  parseExpression() {
+    let expression = this.parsePrimaryExpression();
+
+    while (this.isPunctuator('(')) {
+      const args = this.parseCallArguments();
+      expression = {
+        kind: 'Call',
+        callee: expression,
+        arguments: args,
+        start: expression.start,
+        end: this.previous().end
+      };
+    }
+
+    return expression;
+  }
+
+  parseCallArguments() {
+    const args = [];
+
+    this.expectPunctuator('(');
+    while (!this.isPunctuator(')')) {
+      const start = this.peek().start;
+      let label = null;
+      let value;
+
+      if (this.eatPunctuator('~')) {
+        const labelToken = this.expectIdentifier();
+        label = labelToken.value;
+        if (this.eatPunctuator('=')) {
+          this.eatPunctuator('?');
+          value = this.parseExpression();
+        } else {
+          value = { kind: 'Identifier', path: [label], name: label, start: labelToken.start, end: labelToken.end };
+        }
+      } else {
+        value = this.parseExpression();
+      }
+
+      args.push({ label, value, start, end: this.previous().end });
+      if (!this.eatPunctuator(',')) break;
+    }
+    this.expectPunctuator(')');
+
+    return args;
+  }
+
+  parsePrimaryExpression() {
+    const token = this.peek();
+
+    switch (token.type) {
+      case 'String':
+      case 'Char':
+        this.next();
+        return { kind: 'String', value: token.value, raw: token.raw, start: token.start, end: token.end };
+      case 'Number':
+        this.next();
+        return { kind: 'Number', value: token.value, raw: token.raw, start: token.start, end: token.end };
+      case 'Identifier':
+        if (token.value === 'true' || token.value === 'false') {
+          this.next();
+          return { kind: 'Boolean', value: token.value === 'true', start: token.start, end: token.end };
+        }
+        return this.parsePathExpression();
+    }
+
+    if (token.type === 'Punctuator') {
+      switch (token.value) {
+        case '-': {
+          const numberToken = this.peek(1);
+          if (numberToken.type !== 'Number') break;
+          this.next();
+          this.next();
+          return {
+            kind: 'Number',
+            value: -numberToken.value,
+            raw: `-${numberToken.raw}`,
+            start: token.start,
+            end: numberToken.end
+          };
+        }
+        case '#': {
+          this.next();
+          const nameToken = this.next();
+          return { kind: 'PolyVariant', name: String(nameToken.value), start: token.start, end: nameToken.end };
+        }
+        case '[':
+          return this.parseArrayExpression();
+        case '{':
+          return this.parseRecordExpression();
+        case '(': {
+          this.next();
+          if (this.isPunctuator(')')) {
+            const end = this.next().end;
+            return { kind: 'Unit', start: token.start, end };
+          }
+          const expression = this.parseExpression();
+          this.expectPunctuator(')');
+          if (this.isPunctuator('=>')) {
+            throw this.createSyntaxError('Unsupported function expression');
+          }
+          return expression;
+        }
+      }
+    }
+
+    throw this.createSyntaxError(`Unsupported expression starting with ${this.describeToken(token)}`, token);
+  }
+
+  parsePathExpression() {
+    const start = this.peek().start;
+    const segments = [];
+    const path = this.parseModulePath(segments);
+
+    return {
+      kind: 'Identifier',
+      path,
+      segments,
+      name: path[path.length - 1],
+      start,
+      end: this.previous().end
+    };
+  }
+
+  parseArrayExpression() {
+    const start = this.expectPunctuator('[').start;
+    const elements = [];
+
+    while (!this.isPunctuator(']')) {
+      elements.push(this.parseExpression());
+      if (!this.eatPunctuator(',')) break;
+    }
+
+    const end = this.expectPunctuator(']').end;
+    return { kind: 'Array', elements, start, end };
+  }
+
+  parseRecordExpression() {
+    const start = this.expectPunctuator('{').start;
+    const fields = [];
+
+    while (!this.isPunctuator('}')) {
+      const keyToken = this.next();
+
+      if (keyToken.type !== 'Identifier' && keyToken.type !== 'String') {
+        throw this.createSyntaxError(`Unsupported record field ${this.describeToken(keyToken)}`, keyToken);
+      }
+
+      const key = { name: keyToken.value, quoted: keyToken.type === 'String', start: keyToken.start, end: keyToken.end };
+      let value;
+      if (this.eatPunctuator(':')) {
+        value = this.parseExpression();
+      } else {
+        value = { kind: 'Identifier', path: [keyToken.value], name: keyToken.value, start: keyToken.start, end: keyToken.end };
+      }
+
+      fields.push({ key, value, start: keyToken.start, end: this.previous().end });
+      if (!this.eatPunctuator(',')) break;
+    }
+
+    const end = this.expectPunctuator('}').end;
+    return { kind: 'Record', fields, start, end };
+  }
+
+  getCalleeName(expression) {
+    if (expression?.kind !== 'Call' || expression.callee.kind !== 'Identifier') {
+      return null;
+    }
+    return expression.callee.path.join('.');
+  }
+
+  isModuleLookupCall(expression) {
+    return this.getModuleLookupMethod(expression) !== null;
+  }
+
+  // `get` returns `option<spec>`, `getEnforcing` throws when the module is missing.
+  getModuleLookupMethod(expression) {
+    const calleeName = this.getCalleeName(expression);
+    const external = this.lookupExternals.get(calleeName);
+    if (external) {
+      return external.primitives[0];
+    }
+    const method = calleeName?.replace(/^TurboModule\./, '');
+    return method === 'get' || method === 'getEnforcing' ? method : null;
+  }
+
+  // `let m = get("Name")`, or an external binding the name as a constant argument:
+  // `external m: (@as("Name") _, unit) => option<spec> = "get"`. The annotation is the binding's,
+  // else the return type of the external the call goes through.
+  getModuleLookup(item) {
+    if (item.kind === 'Let') {
+      const method = this.getModuleLookupMethod(item.init);
+      if (!method) return null;
+
+      const external = this.lookupExternals.get(this.getCalleeName(item.init));
+      return {
+        method,
+        moduleArgument: item.init.arguments?.[0]?.value,
+        call: item.init,
+        callee: item.init.callee,
+        annotation: item.typeAnnotation || this.getExternalReturnType(external)
+      };
+    }
+
+    if (item.kind === 'External' && this.lookupExternals.get(item.name) === item) {
+      const nameParameter = item.typeAnnotation.params[0];
+      if (nameParameter?.type.kind !== 'TypeConstructor' || nameParameter.type.path.join('.') !== '_') return null;
+
+      const nameSegment = { name: item.name, start: item.nameStart, end: item.nameEnd };
+      return {
+        method: item.primitives[0],
+        moduleArgument: this.getAttribute(nameParameter.attributes, 'as')?.payload?.[0],
+        call: item,
+        callee: { kind: 'Identifier', path: [item.name], segments: [nameSegment], start: item.nameStart, end: item.nameEnd },
+        annotation: this.getExternalReturnType(item)
+      };
+    }
+
+    return null;
+  }
+
+  // Externals bound to `TurboModuleRegistry`, keyed by their ReScript name:
+  // `@module("react-native") @scope("TurboModuleRegistry") external get: string => option<spec> = "get"`.
+  findLookupExternals(items) {
+    const externals = new Map();
+    const stringPayload = (item, name) => {
+      const value = this.getAttribute(item.attributes, name)?.payload?.[0];
+      return value?.kind === 'String' ? value.value : null;
+    };
+
+    items.forEach(item => {
+      if (item.kind !== 'External' || item.typeAnnotation.kind !== 'Arrow') return;
+      if (stringPayload(item, 'module') !== 'react-native' || stringPayload(item, 'scope') !== 'TurboModuleRegistry') return;
+      if (item.primitives[0] === 'get' || item.primitives[0] === 'getEnforcing') {
+        externals.set(item.name, item);
+      }
+    });
+
+    return externals;
+  }
+
+  getExternalReturnType(external) {
+    return external ? external.typeAnnotation.returnType : null;
+  }
+
+  isCodegenComponentCall(expression) {
+    const calleeName = this.getCalleeName(expression);
+    return calleeName === 'codegenNativeComponent' || calleeName === 'CodegenNativeComponent.codegenNativeComponent';
+  }
+
+  isCodegenCommandsCall(expression) {
+    const calleeName = this.getCalleeName(expression);
+    return calleeName === 'codegenNativeCommands' || calleeName === 'CodegenNativeCommands.codegenNativeCommands';
+  }
+
+  // Flow AST builders
+
+  createOpenStatement(item) {
+    try {
+      const moduleName = item.path[0];
+      let importName;
+      let importKind;
+
+      if (moduleName === 'TurboModule') {
+        importName = 'TurboModule';
+        importKind = 'type';
+      } else if (moduleName === 'CodegenNativeComponent') {
+        importName = 'codegenNativeComponent';
+        importKind = 'value';
+      } else if (moduleName === 'CodegenNativeCommands') {
+        importName = 'codegenNativeCommands';
+        importKind = 'value';
+      } else {
+        return null;
+      }
+
+      const startPos = item.start;
+      const endPos = item.end;
+      const specifierPos = item.pathStart;
+
+      return {
+        type: 'ImportDeclaration',
+        loc: this.createPositionLoc(startPos, endPos),
+        range: this.createRange(startPos, endPos),
+        specifiers: [{
+          type: 'ImportSpecifier',
+          loc: this.createPositionLoc(specifierPos, endPos),
+          range: this.createRange(specifierPos, endPos),
+          imported: {
+            type: 'Identifier',
+            name: importName,
+            loc: this.createPositionLoc(specifierPos, endPos),
+            range: this.createRange(specifierPos, endPos)
+          },
+          local: {
+            type: 'Identifier',
+            name: importName,
+            loc: this.createPositionLoc(specifierPos, endPos),
+            range: this.createRange(specifierPos, endPos)
+          }
+        }],
+        source: {
+          type: 'Literal',
+          value: 'react-native',
+          raw: "'react-native'",
+          loc: this.createPositionLoc(startPos, endPos),
+          range: this.createRange(startPos, endPos)
+        },
+        importKind: importKind
+      };
+    } catch (error) {
+      this.addError(`Error creating open statement: ${error.message}`, item.start);
+      return null;
+    }
+  }
+
+  findTypeRoles(items) {
+    const roles = new Map();
+    const objectTypes = items.filter(item => item.kind === 'TypeDeclaration' && this.isObjectLikeType(item.body));
+    const objectTypeNames = objectTypes.map(item => item.name);
+
+    objectTypes.forEach(item => {
+      const spreads = this.getRecordSpreads(item.body);
+      if (spreads.includes('turboModule') || spreads.includes('TurboModule.turboModule')) {
+        roles.set(item.name, 'spec');
+      } else if (spreads.includes('View.viewProps')) {
+        roles.set(item.name, 'props');
+      }
+    });
+
+    // The annotation on the module lookup (`let m: option<spec> = get(...)`) names the spec.
+    items.forEach(item => {
+      let annotation = this.getModuleLookup(item)?.annotation;
+      if (!annotation) return;
+
+      if (annotation.kind === 'TypeConstructor' && annotation.path.join('.') === 'option' && annotation.args[0]) {
+        annotation = annotation.args[0];
+      }
+      if (annotation.kind === 'TypeConstructor' && objectTypeNames.includes(annotation.path[0]) &&
+          annotation.path.length === 1 && !Array.from(roles.values()).includes('spec')) {
+        roles.set(annotation.path[0], 'spec');
+      }
+    });
+
+    // `let commands: nativeCommands = codegenNativeCommands(...)` names the commands record.
+    items.forEach(item => {
+      if (item.kind !== 'Let' || !this.isCodegenCommandsCall(item.init)) return;
+
+      const annotation = item.typeAnnotation;
+      if (annotation?.kind === 'TypeConstructor' && annotation.path.length === 1 &&
+          objectTypeNames.includes(annotation.path[0]) && !roles.has(annotation.path[0])) {
+        roles.set(annotation.path[0], 'commands');
+      }
+    });
+
+    // Fall back to the conventional names when nothing else identifies a role.
+    const assigned = Array.from(roles.values());
+    objectTypes.forEach(item => {
+      if (roles.has(item.name)) return;
+
+      // Types in nested modules go by their name in the module too, and `Spec.t` is named `Spec`.
+      const names = [item.name, item.localName];
+      const named = candidates => candidates.some(name => names.includes(name));
+      if (named(['spec', 'Spec']) && !assigned.includes('spec')) {
+        roles.set(item.name, 'spec');
+      } else if (named(['props', 'Props']) && !assigned.includes('props')) {
+        roles.set(item.name, 'props');
+      } else if (named(['nativeCommands', 'NativeCommands']) && !assigned.includes('commands')) {
+        roles.set(item.name, 'commands');
+      }
+    });
+
+    return roles;
+  }
+
+  // The props and commands records and every local type they use, e.g. event payloads. These
+  // are component types, where ReScript numbers pick a codegen width.
+  findComponentTypes(items) {
+    const declarations = new Map(items.filter(item => item.kind === 'TypeDeclaration').map(item => [item.name, item]));
+    const componentTypes = new Set();
+
+    const visit = node => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      if (!node || typeof node !== 'object') return;
+
+      if (node.kind === 'TypeConstructor' && node.path.length === 1) {
+        const declaration = declarations.get(node.path[0]);
+        if (declaration && !componentTypes.has(declaration.name)) {
+          componentTypes.add(declaration.name);
+          visit(declaration.body);
+        }
+      }
+      Object.keys(node).forEach(key => visit(node[key]));
+    };
+
+    ['props', 'commands'].forEach(role => {
+      this.typeRoles.forEach((typeRole, typeName) => {
+        if (typeRole !== role) return;
+        componentTypes.add(typeName);
+        visit(declarations.get(typeName).body);
+      });
+    });
+
+    return componentTypes;
+  }
+
+  // Resolves local aliases that are not objects (`type callback = string => unit`).
+  resolveTypeAlias(typeNode) {
+    let resolved = typeNode;
+    const seen = new Set();
+
+    while (resolved?.kind === 'TypeConstructor' && resolved.path.length === 1) {
+      const declaration = this.typeDeclarations.get(resolved.path[0]);
+      if (!declaration?.body || this.isObjectLikeType(declaration.body) || seen.has(declaration.name)) break;
+      seen.add(declaration.name);
+      resolved = declaration.body;
+    }
+
+    return resolved;
+  }
+
+  isObjectLikeType(type) {
+    return type?.kind === 'Record' || type?.kind === 'Object';
+  }
+
+  getRecordSpreads(record) {
+    return record.fields
+      .filter(field => field.kind === 'Spread')
+      .map(field => field.type.path?.join('.'));
+  }
+
+  getTypeNameForRole(role) {
+    for (const [typeName, typeRole] of this.typeRoles) {
+      if (typeRole === role) return typeName;
+    }
+    return null;
+  }
+
+  // Spec and commands types become interfaces, named like Flow interfaces:
+  // `spec` -> `Spec`, `nativeCommands` -> `NativeCommands`.
+  getInterfaceName(typeName) {
+    return typeName.charAt(0).toUpperCase() + typeName.slice(1);
+  }
+
+  createTypeDefinition(item) {
+    try {
+      const typeName = item.name;
+      const startPos = item.start;
+      const endPos = item.end;
+      const startLine = this.getLineNumber(startPos);
+      const endLine = this.getLineNumber(endPos);
+      const startCol = this.getColumnNumber(startPos);
+      const endCol = this.getColumnNumber(endPos);
+
+      // For TurboModule specs, parse as interface
+      if (this.typeRoles.get(typeName) === 'spec') {
+        const turboModuleSpread = item.body.fields.find(field =>
+          field.kind === 'Spread' && ['turboModule', 'TurboModule.turboModule'].includes(field.type.path?.join('.'))
+        );
+        const methods = this.parseMethodSignatures(item.body);
+        return this.createInterfaceStatement(typeName, methods, turboModuleSpread, item.body, startLine, startCol, endLine, endCol, startPos, endPos, item.nameStart);
+      }
+
+      if (this.typeRoles.get(typeName) === 'commands') {
+        const commands = this.parseCommandSignatures(item.body);
+        return this.createInterfaceStatement(typeName, commands, null, item.body, startLine, startCol, endLine, endCol, startPos, endPos, item.nameStart);
+      }
+
+      // Component props and helper records both become object type aliases
+      let right;
+      if (!item.body) {
+        right = {
+          type: 'MixedTypeAnnotation',
+          loc: this.createLoc(startLine, startCol, endLine, endCol),
+          range: this.createRange(startPos, endPos)
+        };
+      } else if (this.isObjectLikeType(item.body)) {
+        const properties = this.parseInComponentContext(item, () => this.parseComponentProps(item.body));
+        right = {
+          type: 'ObjectTypeAnnotation',
+          loc: this.createNodeLoc(item.body),
+          range: this.createNodeRange(item.body),
+          properties: properties,
+          indexers: []
+        };
+      } else {
+        right = this.parseInComponentContext(item, () => this.parseReScriptType(item.body));
+      }
+
+      return this.createTypeAliasStatement(typeName, right, startLine, startCol, endLine, endCol, startPos, endPos, item.nameStart);
+    } catch (error) {
+      this.addError(`Type definition parsing error: ${error.message}`, item.start);
+      return null;
+    }
+  }
+
+  parseInComponentContext(item, parseBody) {
+    const previousContext = this.componentTypeContext;
+    this.componentTypeContext = this.componentTypes.has(item.name);
+    try {
+      return parseBody();
+    } finally {
+      this.componentTypeContext = previousContext;
+    }
+  }
+
+  createTypeAliasStatement(typeName, right, startLine, startCol, endLine, endCol, startPos, endPos, namePos) {
+    try {
+      return {
+        type: 'ExportNamedDeclaration',
+        loc: this.createLoc(startLine, startCol, endLine, endCol),
+        range: this.createRange(startPos, endPos),
+        declaration: {
+          type: 'TypeAlias',
+          loc: this.createLoc(startLine, startCol, endLine, endCol),
+          range: this.createRange(startPos, endPos),
+          id: {
+            type: 'Identifier',
+            name: typeName,
+            loc: this.createPositionLoc(namePos, namePos + typeName.length),
+            range: this.createRange(namePos, namePos + typeName.length)
+          },
+          right: right
+        },
+        exportKind: 'type'
+      };
+    } catch (error) {
+      this.addError(`Error creating type alias statement: ${error.message}`, startPos);
+      return null;
+    }
+  }
+
+  createInterfaceStatement(typeName, methods, turboModuleSpread, body, startLine, startCol, endLine, endCol, startPos, endPos, namePos) {
+    try {
+      return {
+        type: 'ExportNamedDeclaration',
+        loc: this.createLoc(startLine, startCol, endLine, endCol),
+        range: this.createRange(startPos, endPos),
+        declaration: {
+          type: 'InterfaceDeclaration',
+          loc: this.createLoc(startLine, startCol, endLine, endCol),
+          range: this.createRange(startPos, endPos),
+          id: {
+            type: 'Identifier',
+            name: this.getInterfaceName(typeName),
+            loc: this.createPositionLoc(namePos, namePos + typeName.length),
+            range: this.createRange(namePos, namePos + typeName.length)
+          },
+          extends: turboModuleSpread ? [{
+            type: 'InterfaceExtends',
+            loc: this.createNodeLoc(turboModuleSpread),
+            range: this.createNodeRange(turboModuleSpread),
+            id: {
+              type: 'Identifier',
+              name: 'TurboModule',
+              loc: this.createNodeLoc(turboModuleSpread.type),
+              range: this.createNodeRange(turboModuleSpread.type)
+            }
+          }] : [],
+          body: {
+            type: 'ObjectTypeAnnotation',
+            loc: this.createNodeLoc(body),
+            range: this.createNodeRange(body),
+            properties: methods || [],
+            indexers: []
+          }
+        },
+        exportKind: 'type'
+      };
+    } catch (error) {
+      this.addError(`Error creating interface statement: ${error.message}`, startPos);
+      return null;
+    }
+  }
+
+  createLetStatement(item) {
+    if (this.isCodegenCommandsCall(item.init)) {
+      return this.createCommandsStatement(item);
+    }
+
+    const calleeName = this.getCalleeName(item.init);
+    const firstArgument = item.init?.arguments?.[0]?.value;
+
+    if (calleeName && firstArgument?.kind !== 'String' && this.isModuleLookupCall(item.init)) {
+      const node = firstArgument || item.init;
+      this.addError(`The module name passed to ${this.getModuleLookupMethod(item.init)} must be a string literal`, node.start, DIAGNOSTIC_CODES.INVALID_MODULE_LOOKUP, node.end);
+      return null;
+    }
+
+    if (!calleeName || firstArgument?.kind !== 'String') {
+      return null;
+    }
+
+    if (this.isModuleLookupCall(item.init)) {
+      return this.createModuleLookupStatement(item, this.getModuleLookup(item));
+    }
+
+    if (this.isCodegenComponentCall(item.init)) {
+      return this.createCodegenStatement(item, firstArgument.value);
+    }
+
+    return null;
+  }
+
+  createExternalStatement(item) {
+    const lookup = this.getModuleLookup(item);
+    if (lookup?.moduleArgument?.kind !== 'String') {
+      return null;
+    }
+    return this.createModuleLookupStatement(item, lookup);
+  }
+
+  // Codegen only generates a module that is exported through a lookup, so a spec that no
+  // recognised lookup loads would silently produce nothing.
+  checkSpecIsLoaded(items) {
+    const specName = this.getTypeNameForRole('spec');
+    if (!specName || items.some(item => this.getModuleLookup(item))) return;
+
+    const spec = this.typeDeclarations.get(specName);
+    this.addError(
+      `Spec '${specName}' is not loaded by any module lookup, so no module would be exported. Accepted lookups are ` +
+        '`getEnforcing("Name")` and `get("Name")`, optionally qualified as `TurboModule.getEnforcing`, and externals bound to `TurboModuleRegistry`',
+      spec.nameStart,
+      DIAGNOSTIC_CODES.UNUSED_MODULE_SPEC,
+      spec.nameEnd
+    );
+  }
+
+  createModuleLookupStatement(item, lookup) {
+    try {
+      const startPos = item.start;
+      const endPos = item.end;
+      const { call, callee, method, moduleArgument } = lookup;
+      const moduleName = moduleArgument.value;
+      const methodSegment = callee.segments[callee.segments.length - 1];
+
+      let specAnnotation = lookup.annotation || callee;
+      if (specAnnotation.kind === 'TypeConstructor' && NULLABLE_TYPES.includes(specAnnotation.path.join('.')) && specAnnotation.args[0]) {
+        specAnnotation = specAnnotation.args[0];
+      }
+
+      this.checkModuleLookup(lookup, specAnnotation);
+
+      return {
+        type: 'ExportDefaultDeclaration',
+        loc: this.createPositionLoc(startPos, endPos),
+        range: this.createRange(startPos, endPos),
+        declaration: {
+          type: 'CallExpression',
+          loc: this.createNodeLoc(call),
+          range: this.createNodeRange(call),
+          callee: {
+            type: 'MemberExpression',
+            loc: this.createNodeLoc(callee),
+            range: this.createNodeRange(callee),
+            object: {
+              type: 'Identifier',
+              name: 'TurboModuleRegistry',
+              loc: this.createNodeLoc(callee.segments[0]),
+              range: this.createNodeRange(callee.segments[0])
+            },
+            property: {
+              type: 'Identifier',
+              name: method,
+              loc: this.createNodeLoc(methodSegment),
+              range: this.createNodeRange(methodSegment)
+            },
+            computed: false
+          },
+          arguments: [{
+            type: 'Literal',
+            value: moduleName,
+            raw: `"${moduleName}"`,
+            loc: this.createNodeLoc(moduleArgument),
+            range: this.createNodeRange(moduleArgument)
+          }],
+          typeArguments: {
+            type: 'TypeParameterInstantiation',
+            loc: this.createNodeLoc(specAnnotation),
+            range: this.createNodeRange(specAnnotation),
+            params: [
+              {
+                type: 'GenericTypeAnnotation',
+                id: {
+                  type: 'Identifier',
+                  name: this.getInterfaceName(this.getTypeNameForRole('spec') || 'spec'),
+                  loc: this.createNodeLoc(specAnnotation),
+                  range: this.createNodeRange(specAnnotation)
+                },
+                loc: this.createNodeLoc(specAnnotation),
+                range: this.createNodeRange(specAnnotation)
+              }
+            ]
+          }
+        }
+      };
+    } catch (error) {
+      this.addError(`Let statement parsing error: ${error.message}`, item.start);
+      return null;
+    }
+  }
+
+  checkModuleLookup(lookup, specAnnotation) {
+    const { method, moduleArgument, annotation } = lookup;
+    if (moduleArgument.value.trim() === '') {
+      this.addError(`The module name passed to ${method} cannot be empty`, moduleArgument.start, DIAGNOSTIC_CODES.INVALID_MODULE_LOOKUP, moduleArgument.end);
+    }
+
+    if (!annotation) return;
+
+    const nullable = annotation.kind === 'TypeConstructor' && NULLABLE_TYPES.includes(annotation.path.join('.'));
+    if (method === 'get' && !nullable) {
+      this.addError(`get returns option<${this.input.slice(annotation.start, annotation.end)}>; annotate the binding with an option or use getEnforcing`, annotation.start, DIAGNOSTIC_CODES.INVALID_MODULE_LOOKUP, annotation.end);
+    } else if (method === 'getEnforcing' && nullable) {
+      this.addError('getEnforcing never returns None; annotate the binding with the spec type itself or use get', annotation.start, DIAGNOSTIC_CODES.INVALID_MODULE_LOOKUP, annotation.end);
+    }
+
+    const specName = this.getTypeNameForRole('spec');
+    const annotatedName = specAnnotation.kind === 'TypeConstructor' ? specAnnotation.path.join('.') : null;
+    if (specName && annotatedName && annotatedName !== specName) {
+      this.addError(`Module '${moduleArgument.value}' is annotated as '${annotatedName}', but the spec type is '${specName}'`, specAnnotation.start, DIAGNOSTIC_CODES.INVALID_MODULE_LOOKUP, specAnnotation.end);
+    }
+  }
+
+  createCodegenStatement(item, componentName) {
+    try {
+      const startPos = item.start;
+      const endPos = item.end;
+      const call = item.init;
+      const componentArgument = call.arguments[0].value;
+      const optionsArgument = call.arguments[1]?.value;
+      const propsAnnotation = item.typeAnnotation || call.callee;
+      const options = optionsArgument && this.checkComponentOptions(optionsArgument)
+        ? [this.createObjectExpression(optionsArgument)]
+        : [];
+
+      return {
+        type: 'ExportDefaultDeclaration',
+        loc: this.createPositionLoc(startPos, endPos),
+        range: this.createRange(startPos, endPos),
+        declaration: {
+          type: 'CallExpression',
+          loc: this.createNodeLoc(call),
+          range: this.createNodeRange(call),
+          callee: {
+            type: 'Identifier',
+            name: 'codegenNativeComponent',
+            loc: this.createNodeLoc(call.callee),
+            range: this.createNodeRange(call.callee)
+          },
+          arguments: [{
+            type: 'Literal',
+            value: componentName,
+            raw: `"${componentName}"`,
+            loc: this.createNodeLoc(componentArgument),
+            range: this.createNodeRange(componentArgument)
+          }, ...options],
+          typeArguments: {
+            type: 'TypeParameterInstantiation',
+            params: [{
+              type: 'GenericTypeAnnotation',
+              id: {
+                type: 'Identifier',
+                name: this.getTypeNameForRole('props') || 'props',
+                loc: this.createNodeLoc(propsAnnotation),
+                range: this.createNodeRange(propsAnnotation)
+              },
+              loc: this.createNodeLoc(propsAnnotation),
+              range: this.createNodeRange(propsAnnotation)
+            }],
+            loc: this.createNodeLoc(propsAnnotation),
+            range: this.createNodeRange(propsAnnotation)
+          }
+        }
+      };
+    } catch (error) {
+      this.addError(`Codegen call parsing error: ${error.message}`, item.start);
+      return null;
+    }
+  }
+
+  // `codegenNativeComponent("MyView", {interfaceOnly: true, excludedPlatforms: [#android]})`
+  checkComponentOptions(options) {
+    if (options.kind !== 'Record') {
+      this.addError('The codegenNativeComponent options must be a record, e.g. {interfaceOnly: true}', options.start, DIAGNOSTIC_CODES.INVALID_COMPONENT_OPTIONS, options.end);
+      return false;
+    }
+
+    let valid = true;
+    const report = (message, node) => {
+      this.addError(message, node.start, DIAGNOSTIC_CODES.INVALID_COMPONENT_OPTIONS, node.end);
+      valid = false;
+    };
+
+    options.fields.forEach(field => {
+      const name = field.key.name;
+      const value = field.value;
+      const expected = COMPONENT_OPTIONS[name];
+
+      if (!expected) {
+        report(`Unknown codegenNativeComponent option '${name}'; expected one of ${Object.keys(COMPONENT_OPTIONS).join(', ')}`, field.key);
+      } else if (value.kind !== expected) {
+        report(`Option '${name}' must be a ${expected.toLowerCase()} literal`, value);
+      } else if (name === 'excludedPlatforms') {
+        value.elements
+          .filter(element => !['String', 'PolyVariant'].includes(element.kind) || !COMPONENT_PLATFORMS.includes(element.value ?? element.name))
+          .forEach(element => report(`Excluded platforms must be ${COMPONENT_PLATFORMS.map(platform => `"${platform}"`).join(' or ')}`, element));
+      }
+    });
+
+    const names = options.fields.map(field => field.key.name);
+    if (names.includes('paperComponentName') && names.includes('paperComponentNameDeprecated')) {
+      report('Cannot use both paperComponentName and paperComponentNameDeprecated', options);
+    }
+
+    return valid;
+  }
+
+  // `let commands: nativeCommands = codegenNativeCommands({supportedCommands: [...]})` becomes
+  // `export const Commands = codegenNativeCommands<NativeCommands>({supportedCommands: [...]})`.
+  createCommandsStatement(item) {
+    try {
+      const call = item.init;
+      const options = call.arguments[0]?.value;
+      const commandsName = this.getTypeNameForRole('commands');
+
+      if (!commandsName) {
+        this.addError(`Cannot find the commands type for '${item.name}'; annotate the binding with the commands record`, item.start, DIAGNOSTIC_CODES.UNKNOWN_TYPE, item.end);
+        return null;
+      }
+
+      const supportedCommands = options?.kind === 'Record'
+        ? options.fields.find(field => field.key.name === 'supportedCommands')
+        : null;
+      if (call.arguments.length !== 1 || supportedCommands?.value.kind !== 'Array' ||
+          supportedCommands.value.elements.some(element => element.kind !== 'String')) {
+        this.addError('codegenNativeCommands takes a single {supportedCommands: [...]} record listing the command names', call.start, DIAGNOSTIC_CODES.INVALID_COMMANDS, call.end);
+        return null;
+      }
+
+      this.checkSupportedCommands(commandsName, supportedCommands.value);
+
+      const commandsAnnotation = item.typeAnnotation || call.callee;
+      const declarationId = {
+        type: 'Identifier',
+        name: this.getInterfaceName(item.name),
+        loc: this.createPositionLoc(item.nameStart, item.nameEnd),
+        range: this.createRange(item.nameStart, item.nameEnd)
+      };
+
+      return {
+        type: 'ExportNamedDeclaration',
+        loc: this.createPositionLoc(item.start, item.end),
+        range: this.createRange(item.start, item.end),
+        declaration: {
+          type: 'VariableDeclaration',
+          kind: 'const',
+          loc: this.createPositionLoc(item.start, item.end),
+          range: this.createRange(item.start, item.end),
+          declarations: [{
+            type: 'VariableDeclarator',
+            id: declarationId,
+            init: {
+              type: 'CallExpression',
+              loc: this.createNodeLoc(call),
+              range: this.createNodeRange(call),
+              callee: {
+                type: 'Identifier',
+                name: 'codegenNativeCommands',
+                loc: this.createNodeLoc(call.callee),
+                range: this.createNodeRange(call.callee)
+              },
+              arguments: [this.createObjectExpression(options)],
+              typeArguments: {
+                type: 'TypeParameterInstantiation',
+                params: [{
+                  type: 'GenericTypeAnnotation',
+                  id: {
+                    type: 'Identifier',
+                    name: this.getInterfaceName(commandsName),
+                    loc: this.createNodeLoc(commandsAnnotation),
+                    range: this.createNodeRange(commandsAnnotation)
+                  },
+                  typeParameters: null,
+                  loc: this.createNodeLoc(commandsAnnotation),
+                  range: this.createNodeRange(commandsAnnotation)
+                }],
+                loc: this.createNodeLoc(commandsAnnotation),
+                range: this.createNodeRange(commandsAnnotation)
+              }
+            },
+            loc: this.createPositionLoc(item.nameStart, item.end),
+            range: this.createRange(item.nameStart, item.end)
+          }]
+        },
+        exportKind: 'value'
+      };
+    } catch (error) {
+      this.addError(`Commands parsing error: ${error.message}`, item.start);
+      return null;
+    }
+  }
+
+  // Codegen requires `supportedCommands` to list exactly the commands the record declares.
+  checkSupportedCommands(commandsName, supportedCommands) {
+    const declaration = this.items.find(item => item.kind === 'TypeDeclaration' && item.name === commandsName);
+    const declared = declaration.body.fields.filter(field => field.kind === 'Field').map(field => this.getFieldKey(field));
+    const listed = supportedCommands.elements.map(element => element.value);
+
+    supportedCommands.elements.forEach(element => {
+      if (!declared.includes(element.value)) {
+        this.addError(`'${element.value}' is not a field of '${commandsName}'`, element.start, DIAGNOSTIC_CODES.INVALID_COMMANDS, element.end);
+      }
+    });
+
+    const missing = declared.filter(name => !listed.includes(name));
+    if (missing.length > 0) {
+      this.addError(`supportedCommands is missing ${missing.map(name => `'${name}'`).join(', ')} from '${commandsName}'`, supportedCommands.start, DIAGNOSTIC_CODES.INVALID_COMMANDS, supportedCommands.end);
+    }
+  }
+
+  createObjectExpression(record) {
+    return {
+      type: 'ObjectExpression',
+      properties: record.fields.map(field => ({
+        type: 'Property',
+        key: {
+          type: 'Identifier',
+          name: field.key.name,
+          loc: this.createNodeLoc(field.key),
+          range: this.createNodeRange(field.key)
+        },
+        value: this.createExpression(field.value),
+        kind: 'init',
+        method: false,
+        shorthand: false,
+        computed: false,
+        loc: this.createNodeLoc(field),
+        range: this.createNodeRange(field)
+      })),
+      loc: this.createNodeLoc(record),
+      range: this.createNodeRange(record)
+    };
+  }
+
+  createExpression(expression) {
+    switch (expression.kind) {
+      case 'String':
+        return {
+          type: 'Literal',
+          value: expression.value,
+          raw: JSON.stringify(expression.value),
+          loc: this.createNodeLoc(expression),
+          range: this.createNodeRange(expression)
+        };
+      case 'Number':
+      case 'Boolean':
+        return {
+          type: 'Literal',
+          value: expression.kind === 'Number' ? Number(expression.value) : expression.value,
+          raw: expression.kind === 'Number' ? expression.raw : String(expression.value),
+          loc: this.createNodeLoc(expression),
+          range: this.createNodeRange(expression)
+        };
+      case 'PolyVariant':
+        return {
+          type: 'Literal',
+          value: expression.name,
+          raw: JSON.stringify(expression.name),
+          loc: this.createNodeLoc(expression),
+          range: this.createNodeRange(expression)
+        };
+      case 'Array':
+        return {
+          type: 'ArrayExpression',
+          elements: expression.elements.map(element => this.createExpression(element)),
+          loc: this.createNodeLoc(expression),
+          range: this.createNodeRange(expression)
+        };
+      case 'Record':
+        return this.createObjectExpression(expression);
+      default:
+        throw new Error(`Unsupported value '${this.input.slice(expression.start, expression.end)}'`);
+    }
+  }
+
+  parseMethodSignatures(record) {
+    const methods = [];
+
+    try {
+      record.fields.forEach(field => {
+        if (field.kind !== 'Field') return;
+
+        const defaultAttribute = this.getAttribute(field.attributes, 'default');
+        if (defaultAttribute) {
+          this.addError('@default can only be used on component props', defaultAttribute.start, DIAGNOSTIC_CODES.INVALID_ATTRIBUTE, defaultAttribute.end);
+        }
+
+        const methodProperty = this.createMethodFromSignature(field);
+        if (methodProperty) methods.push(this.attachDocComment(methodProperty, field));
+      });
+    } catch (error) {
+      this.addError(`Method signature parsing error: ${error.message}`, record.start);
+    }
+
+    return methods;
+  }
+
+  // Commands are called from JS as `Commands.scrollTo(ref, ...)`, so the first parameter is the
+  // component ref whatever its ReScript type, and becomes `React.ElementRef<HostComponent<props>>`.
+  parseCommandSignatures(record) {
+    const commands = [];
+    const previousContext = this.componentTypeContext;
+    this.componentTypeContext = true;
+
+    try {
+      record.fields.forEach(field => {
+        if (field.kind !== 'Field') {
+          this.addError('Commands cannot spread other types; list each command', field.start, DIAGNOSTIC_CODES.INVALID_COMMANDS, field.end);
+          return;
+        }
+
+        if (field.type.kind !== 'Arrow') {
+          this.addError(`Command '${field.name}' must be a function`, field.type.start, DIAGNOSTIC_CODES.INVALID_COMMANDS, field.type.end);
+          return;
+        }
+
+        const [refParam, ...params] = this.getFunctionParams(field.type);
+        if (!refParam) {
+          this.addError(`Command '${field.name}' must take the component ref as its first argument`, field.type.start, DIAGNOSTIC_CODES.INVALID_COMMANDS, field.type.end);
+          return;
+        }
+
+        if (!this.isUnitType(field.type.returnType)) {
+          this.addError(`Command '${field.name}' must return unit`, field.type.returnType.start, DIAGNOSTIC_CODES.INVALID_COMMANDS, field.type.returnType.end);
+        }
+
+        const { params: commandParams, returnType } = this.parseTypeSignature(Object.assign({}, field.type, { params }));
+        commands.push(this.attachDocComment(
+          this.createMethodProperty(field, [this.createCommandRefParam(refParam), ...commandParams], returnType),
+          field
+        ));
+      });
+    } catch (error) {
+      this.addError(`Commands parsing error: ${error.message}`, record.start);
+    } finally {
+      this.componentTypeContext = previousContext;
+    }
+
+    return commands;
+  }
+
+  createCommandRefParam(param) {
+    const type = param.type;
+    const identifier = (name, node) => ({
+      type: 'Identifier',
+      name,
+      loc: this.createNodeLoc(node),
+      range: this.createNodeRange(node)
+    });
+
+    return {
+      type: 'FunctionTypeParam',
+      name: identifier(param.name ? param.name.name : 'viewRef', param.name || type),
+      typeAnnotation: {
+        type: 'GenericTypeAnnotation',
+        id: {
+          type: 'QualifiedTypeIdentifier',
+          qualification: identifier('React', type),
+          id: identifier('ElementRef', type),
+          loc: this.createNodeLoc(type),
+          range: this.createNodeRange(type)
+        },
+        typeParameters: {
+          type: 'TypeParameterInstantiation',
+          params: [{
+            type: 'GenericTypeAnnotation',
+            id: identifier('HostComponent', type),
+            typeParameters: {
+              type: 'TypeParameterInstantiation',
+              params: [{
+                type: 'GenericTypeAnnotation',
+                id: identifier(this.getTypeNameForRole('props') || 'props', type),
+                typeParameters: null,
+                loc: this.createNodeLoc(type),
+                range: this.createNodeRange(type)
+              }],
+              loc: this.createNodeLoc(type),
+              range: this.createNodeRange(type)
+            },
+            loc: this.createNodeLoc(type),
+            range: this.createNodeRange(type)
+          }],
+          loc: this.createNodeLoc(type),
+          range: this.createNodeRange(type)
+        },
+        loc: this.createNodeLoc(type),
+        range: this.createNodeRange(type)
+      },
+      optional: false,
+      loc: this.createNodeLoc(param),
+      range: this.createNodeRange(param)
+    };
+  }
+
+  createMethodFromSignature(field) {
+    try {
+      if (field.type.kind !== 'Arrow') {
+        return {
+          type: 'ObjectTypeProperty',
+          loc: this.createNodeLoc(field),
+          range: this.createNodeRange(field),
+          key: this.createFieldKey(field),
+          value: this.parseReScriptType(field.type),
+          optional: field.optional,
+          method: false
+        };
+      }
+
+      const { params, returnType } = this.parseTypeSignature(field.type);
+      return this.createMethodProperty(field, params, returnType);
+    } catch (error) {
+      this.addError(`Error creating method from signature: ${error.message}`, field.start);
+      return null;
+    }
+  }
+
+  createMethodProperty(field, params, returnType) {
+    try {
+      return {
+        type: 'ObjectTypeProperty',
+        loc: this.createNodeLoc(field),
+        range: this.createNodeRange(field),
+        key: this.createFieldKey(field),
+        value: {
+          type: 'FunctionTypeAnnotation',
+          loc: this.createNodeLoc(field.type),
+          range: this.createNodeRange(field.type),
+          params: params || [],
+          returnType: returnType || { type: 'VoidTypeAnnotation', loc: this.createNodeLoc(field.type), range: this.createNodeRange(field.type) }
+        },
+        optional: field.optional,
+        method: true
+      };
+    } catch (error) {
+      this.addError(`Error creating method property: ${error.message}`, field.start);
+      return null;
+    }
+  }
+
+  createFieldKey(field) {
+    const asAttribute = this.getAttribute(field.attributes, 'as');
+    if (asAttribute && asAttribute.payload?.[0]?.kind !== 'String') {
+      this.addError(`@as on field '${field.name}' must be a string literal`, asAttribute.start, DIAGNOSTIC_CODES.INVALID_ATTRIBUTE, asAttribute.end);
+    }
+
+    return {
+      type: 'Identifier',
+      name: this.getFieldKey(field),
+      loc: this.createPositionLoc(field.nameStart, field.nameEnd),
+      range: this.createRange(field.nameStart, field.nameEnd)
+    };
+  }
+
+  // `@as("jsName")` on a record field is the property name the field has at runtime. The
+  // ReScript name is kept for diagnostics.
+  getFieldKey(field) {
+    const asValue = this.getAttribute(field.attributes, 'as')?.payload?.[0];
+    return asValue?.kind === 'String' ? asValue.value : field.name;
+  }
+
+  parseTypeSignature(arrow) {
+    const params = [];
+    let returnType = { type: 'VoidTypeAnnotation', loc: this.createNodeLoc(arrow), range: this.createNodeRange(arrow) };
+
+    try {
+      this.getFunctionParams(arrow).forEach((param, index) => {
+        const paramName = param.name || param;
+        params.push({
+          type: 'FunctionTypeParam',
+          name: {
+            type: 'Identifier',
+            name: param.name ? param.name.name : `param${index}`,
+            loc: this.createNodeLoc(paramName),
+            range: this.createNodeRange(paramName)
+          },
+          typeAnnotation: this.parseReScriptType(param.type),
+          optional: param.optional,
+          loc: this.createNodeLoc(param),
+          range: this.createNodeRange(param)
+        });
+      });
+
+      returnType = this.parseReScriptType(arrow.returnType);
+    } catch (error) {
+      this.addError(`Type signature parsing error: ${error.message}`, arrow.start);
+    }
+
+    return { params, returnType };
+  }
+
+  getFunctionParams(arrow) {
+    // `unit => t` and `() => t` take no arguments, and the trailing `unit` that
+    // terminates optional labeled arguments (`(~x: int=?, unit) => t`) is not passed from JS.
+    const params = arrow.params;
+    const lastParam = params[params.length - 1];
+    if (lastParam && !lastParam.label && this.isUnitType(lastParam.type) &&
+        (params.length === 1 || params.some(param => param.optional))) {
+      return params.slice(0, -1);
+    }
+    return params;
+  }
+
+  isUnitType(type) {
+    return type.kind === 'TypeConstructor' && type.path.join('.') === 'unit' && type.args.length === 0;
+  }
+
+  parseComponentProps(record) {
+    const properties = [];
+
+    try {
+      record.fields.forEach(field => {
+        if (field.kind === 'Spread' && field.type.path?.length === 1 && this.declaredTypes.has(field.type.path[0])) {
+          properties.push({
+            type: 'ObjectTypeSpreadProperty',
+            argument: {
+              type: 'GenericTypeAnnotation',
+              id: {
+                type: 'Identifier',
+                name: field.type.path[0],
+                loc: this.createNodeLoc(field.type),
+                range: this.createNodeRange(field.type)
+              },
+              typeParameters: null,
+              loc: this.createNodeLoc(field.type),
+              range: this.createNodeRange(field.type)
+            },
+            loc: this.createNodeLoc(field),
+            range: this.createNodeRange(field)
+          });
+          return;
+        }
+
+        if (field.kind === 'Spread') {
+          if (field.type.path?.join('.') !== 'View.viewProps') return;
+
+          const [viewSegment, propsSegment] = field.type.segments;
+          properties.push({
+            type: 'ObjectTypeSpreadProperty',
+            argument: {
+              type: 'MemberExpression',
+              object: {
+                type: 'Identifier',
+                name: 'View',
+                loc: this.createNodeLoc(viewSegment),
+                range: this.createNodeRange(viewSegment)
+              },
+              property: {
+                type: 'Identifier',
+                name: 'viewProps',
+                loc: this.createNodeLoc(propsSegment),
+                range: this.createNodeRange(propsSegment)
+              },
+              id: {
+                name: 'ViewProps'
+              },
+              computed: false,
+              loc: this.createNodeLoc(field.type),
+              range: this.createNodeRange(field.type)
+            },
+            loc: this.createNodeLoc(field),
+            range: this.createNodeRange(field)
+          });
+          return;
+        }
+
+        properties.push(this.attachDocComment({
+          type: 'ObjectTypeProperty',
+          key: this.createFieldKey(field),
+          value: this.createPropValueType(field),
+          optional: field.optional,
+          loc: this.createNodeLoc(field),
+          range: this.createNodeRange(field)
+        }, field));
+      });
+    } catch (error) {
+      this.addError(`Component props parsing error: ${error.message}`, record.start);
+    }
+
+    return properties;
+  }
+
+  // `@default(0.5) opacity?: Float` -> `opacity?: WithDefault<Float, 0.5>`.
+  createPropValueType(field) {
+    const valueType = this.parseReScriptType(field.type);
+    const attribute = this.getAttribute(field.attributes, 'default');
+    if (!attribute) return valueType;
+
+    if (!this.componentTypeContext) {
+      this.addError('@default can only be used on component props', attribute.start, DIAGNOSTIC_CODES.INVALID_ATTRIBUTE, attribute.end);
+      return valueType;
+    }
+
+    const defaultValue = this.getDefaultValue(field);
+    if (defaultValue.error) {
+      this.addError(defaultValue.error, defaultValue.node.start, DIAGNOSTIC_CODES.INVALID_ATTRIBUTE, defaultValue.node.end);
+      return valueType;
+    }
+
+    const { value } = defaultValue;
+    const literal = { loc: this.createNodeLoc(attribute), range: this.createNodeRange(attribute) };
+    if (value === null) {
+      literal.type = 'NullLiteralTypeAnnotation';
+    } else {
+      literal.type = typeof value === 'number' ? 'NumberLiteralTypeAnnotation'
+        : typeof value === 'boolean' ? 'BooleanLiteralTypeAnnotation' : 'StringLiteralTypeAnnotation';
+      literal.value = value;
+      literal.raw = typeof value === 'string' ? JSON.stringify(value) : String(value);
+    }
+
+    return {
+      type: 'GenericTypeAnnotation',
+      id: {
+        type: 'Identifier',
+        name: 'WithDefault',
+        loc: this.createNodeLoc(attribute),
+        range: this.createNodeRange(attribute)
+      },
+      typeParameters: {
+        type: 'TypeParameterInstantiation',
+        params: [valueType, literal],
+        loc: this.createNodeLoc(field.type),
+        range: this.createNodeRange(field.type)
+      },
+      loc: this.createNodeLoc(field.type),
+      range: this.createNodeRange(field.type)
+    };
+  }
+
+  // Reads `@default(...)` against the field type. Returns `{value}` (null for `None`) or
+  // `{error, node}`, and reports nothing, so the schema builder can use it too.
+  getDefaultValue(field) {
+    const attribute = this.getAttribute(field.attributes, 'default');
+    if (!attribute) return null;
+
+    const payload = attribute.payload || [];
+    const expression = payload[0];
+    const fail = (error, node = attribute) => ({ error, node });
+
+    if (payload.length !== 1) {
+      return fail('@default takes a single value, e.g. @default(0.5)');
+    }
+    if (!field.optional) {
+      return fail(`Prop '${field.name}' has a default value, so it must be optional (${field.name}?: ...)`, field);
+    }
+
+    const type = this.resolveTypeAlias(field.type);
+    const typeName = type.kind === 'TypeConstructor' ? type.path.join('.') : null;
+    const typeSource = this.input.slice(type.start, type.end);
+    const isNone = expression.kind === 'Identifier' && ['None', 'null'].includes(expression.path.join('.'));
+
+    if (NULLABLE_TYPES.includes(typeName)) {
+      return fail(`Prop '${field.name}' has a default value, so its type cannot be ${typeName}<...>`, field.type);
+    }
+
+    if (type.kind === 'Variant' || type.kind === 'PolyVariant') {
+      const members = type.kind === 'PolyVariant' ? type.tags : type.constructors;
+      const caseName = type.kind === 'PolyVariant'
+        ? expression.kind === 'PolyVariant' && expression.name
+        : expression.kind === 'Identifier' && expression.path.length === 1 && expression.name;
+      const member = members.find(candidate => candidate.kind !== 'Inherit' && candidate.name === caseName);
+      if (!member) {
+        return fail(`The default of prop '${field.name}' must be one of the cases of ${typeSource}`, expression);
+      }
+      const { value, numeric } = this.getLiteralCase(member);
+      return { value: numeric ? Number(value) : value };
+    }
+
+    const numberType = CODEGEN_NUMBER_TYPES[typeName] || COMPONENT_NUMBER_TYPES[typeName];
+    if (numberType) {
+      if (expression.kind === 'Number') return { value: expression.value };
+      // Codegen only keeps a null default for Float props.
+      if (isNone && numberType === 'Float') return { value: null };
+      return fail(`The default of ${numberType} prop '${field.name}' must be a number${numberType === 'Float' ? ' or None' : ''}`, expression);
+    }
+
+    switch (PRIMITIVE_TYPES[typeName]) {
+      case 'BooleanTypeAnnotation':
+        if (expression.kind === 'Boolean') return { value: expression.value };
+        if (isNone) return { value: null };
+        return fail(`The default of bool prop '${field.name}' must be true, false or None`, expression);
+      case 'StringTypeAnnotation':
+        if (expression.kind === 'String') return { value: expression.value };
+        if (isNone) return { value: null };
+        return fail(`The default of string prop '${field.name}' must be a string or None`, expression);
+    }
+
+    return fail(`Prop '${field.name}' has type ${typeSource}, which cannot have a default value; only numbers, strings, booleans and enums can`, field.type);
+  }
+
+  parseReScriptType(typeNode) {
+    try {
+      if (typeNode.kind === 'Arrow') {
+        const { params, returnType } = this.parseTypeSignature(typeNode);
+        return {
+          type: 'FunctionTypeAnnotation',
+          params: params,
+          returnType: returnType,
+          loc: this.createNodeLoc(typeNode),
+          range: this.createNodeRange(typeNode)
+        };
+      }
+
+      if (typeNode.kind === 'PolyVariant' || typeNode.kind === 'Variant') {
+        return this.createLiteralUnion(typeNode);
+      }
+
+      // Inline records and JS objects (`unit => {"version": string}`).
+      if (this.isObjectLikeType(typeNode)) {
+        return {
+          type: 'ObjectTypeAnnotation',
+          properties: this.parseComponentProps(typeNode),
+          indexers: [],
+          loc: this.createNodeLoc(typeNode),
+          range: this.createNodeRange(typeNode)
+        };
+      }
+
+      if (typeNode.kind !== 'TypeConstructor') {
+        return this.createUnsupportedType(typeNode, `Unsupported ReScript type '${this.input.slice(typeNode.start, typeNode.end)}'`);
+      }
+
+      const typeName = typeNode.path.join('.');
+      const typeArgument = typeNode.args[0];
+
+      const numberType = CODEGEN_NUMBER_TYPES[typeName] ||
+        (this.componentTypeContext ? COMPONENT_NUMBER_TYPES[typeName] : null);
+      if (numberType) {
+        return {
+          type: 'GenericTypeAnnotation',
+          id: {
+            type: 'Identifier',
+            name: numberType,
+            loc: this.createNodeLoc(typeNode),
+            range: this.createNodeRange(typeNode)
+          },
+          typeParameters: null,
+          loc: this.createNodeLoc(typeNode),
+          range: this.createNodeRange(typeNode)
+        };
+      }
+
+      if (EVENT_HANDLER_TYPES[typeName]) {
+        return this.createEventHandlerType(typeNode);
+      }
+
+      if (PRIMITIVE_TYPES[typeName]) {
+        return {
+          type: PRIMITIVE_TYPES[typeName],
+          loc: this.createNodeLoc(typeNode),
+          range: this.createNodeRange(typeNode)
+        };
+      }
+
+      if (NULLABLE_TYPES.includes(typeName) && typeArgument) {
+        return {
+          type: 'NullableTypeAnnotation',
+          typeAnnotation: this.parseReScriptType(typeArgument),
+          loc: this.createNodeLoc(typeNode),
+          range: this.createNodeRange(typeNode)
+        };
+      }
+
+      if (ARRAY_TYPES.includes(typeName) && typeArgument) {
+        return {
+          type: 'ArrayTypeAnnotation',
+          elementType: this.parseReScriptType(typeArgument),
+          loc: this.createNodeLoc(typeNode),
+          range: this.createNodeRange(typeNode)
+        };
+      }
+
+      // Async methods: same shape hermes-parser produces for `Promise<T>`.
+      if (PROMISE_TYPES.includes(typeName)) {
+        if (!typeArgument) {
+          return this.createUnsupportedType(typeNode, `'${typeName}' needs the type it resolves with, e.g. ${typeName}<unit>`);
+        }
+
+        return {
+          type: 'GenericTypeAnnotation',
+          id: {
+            type: 'Identifier',
+            name: 'Promise',
+            loc: this.createPositionLoc(typeNode.start, typeNode.argsStart),
+            range: this.createRange(typeNode.start, typeNode.argsStart)
+          },
+          typeParameters: this.createTypeParameterInstantiation(typeNode),
+          loc: this.createNodeLoc(typeNode),
+          range: this.createNodeRange(typeNode)
+        };
+      }
+
+      if (DICT_TYPES.includes(typeName) && typeArgument) {
+        return {
+          type: 'ObjectTypeAnnotation',
+          properties: [],
+          indexers: [{
+            type: 'ObjectTypeIndexer',
+            key: { type: 'StringTypeAnnotation', loc: this.createNodeLoc(typeNode), range: this.createNodeRange(typeNode) },
+            value: this.parseReScriptType(typeArgument),
+            loc: this.createNodeLoc(typeNode),
+            range: this.createNodeRange(typeNode)
+          }],
+          loc: this.createNodeLoc(typeNode),
+          range: this.createNodeRange(typeNode)
+        };
+      }
+
+      return this.createTypeReference(typeNode);
+    } catch (error) {
+      this.addError(`ReScript type parsing error: ${error.message}`, typeNode?.start ?? 0);
+      return {
+        type: 'VoidTypeAnnotation',
+        loc: this.createPositionLoc(typeNode?.start ?? 0, typeNode?.end ?? 0),
+        range: this.createRange(typeNode?.start ?? 0, typeNode?.end ?? 0)
+      };
+    }
+  }
+
+  // `bubblingEventHandler<payload, [#topChange]>` -> `BubblingEventHandler<payload, 'topChange'>`.
+  // A `unit` payload is an event without data, `DirectEventHandler<null>` in Flow.
+  createEventHandlerType(typeNode) {
+    const typeName = typeNode.path.join('.');
+    const [payload, paperName] = typeNode.args;
+
+    if (!payload || typeNode.args.length > 2) {
+      return this.createUnsupportedType(typeNode, `${typeName} takes the event payload and optionally the paper event name, e.g. ${typeName}<payload, [#topChange]>`);
+    }
+
+    const params = [this.isUnitType(payload)
+      ? { type: 'NullLiteralTypeAnnotation', loc: this.createNodeLoc(payload), range: this.createNodeRange(payload) }
+      : this.parseReScriptType(payload)];
+
+    if (paperName) {
+      if (paperName.kind !== 'PolyVariant' || paperName.tags.length !== 1 || paperName.tags[0].kind === 'Inherit') {
+        return this.createUnsupportedType(paperName, 'The paper event name must be a single polymorphic variant, e.g. [#topChange]');
+      }
+      params.push(this.createLiteralUnion(paperName));
+    }
+
+    return {
+      type: 'GenericTypeAnnotation',
+      id: {
+        type: 'Identifier',
+        name: EVENT_HANDLER_TYPES[typeName],
+        loc: this.createPositionLoc(typeNode.start, typeNode.argsStart),
+        range: this.createRange(typeNode.start, typeNode.argsStart)
+      },
+      typeParameters: {
+        type: 'TypeParameterInstantiation',
+        params,
+        loc: this.createPositionLoc(typeNode.argsStart, typeNode.end),
+        range: this.createRange(typeNode.argsStart, typeNode.end)
+      },
+      loc: this.createNodeLoc(typeNode),
+      range: this.createNodeRange(typeNode)
+    };
+  }
+
+  createTypeParameterInstantiation(typeNode) {
+    if (typeNode.args.length === 0) return null;
+
+    return {
+      type: 'TypeParameterInstantiation',
+      params: typeNode.args.map(arg => this.parseReScriptType(arg)),
+      loc: this.createPositionLoc(typeNode.argsStart, typeNode.end),
+      range: this.createRange(typeNode.argsStart, typeNode.end)
+    };
+  }
+
+  createLiteralUnion(typeNode) {
+    const members = typeNode.kind === 'PolyVariant' ? typeNode.tags : typeNode.constructors;
+
+    members.forEach(member => {
+      if (member.kind === 'Inherit') {
+        this.addError('Polymorphic variants cannot include other types in a spec', member.start, DIAGNOSTIC_CODES.INVALID_VARIANT, member.end);
+        return;
+      }
+
+      if (member.args.length > 0) {
+        this.addError(`Variant case '${member.name}' has a payload; only cases without arguments can be used as enum values`, member.start, DIAGNOSTIC_CODES.INVALID_VARIANT, member.end);
+        return;
+      }
+
+      const asAttribute = this.getAttribute(member.attributes, 'as');
+      const asValue = asAttribute?.payload?.[0];
+      if (asAttribute && asValue?.kind !== 'String' && asValue?.kind !== 'Number') {
+        this.addError(`@as on '${member.name}' must be a string or number literal`, asAttribute.start, DIAGNOSTIC_CODES.INVALID_ATTRIBUTE, asAttribute.end);
+      }
+    });
+
+    const types = this.getLiteralCases(typeNode).map(literal => ({
+      type: literal.type,
+      value: literal.value,
+      raw: literal.numeric ? String(literal.value) : JSON.stringify(literal.value),
+      loc: this.createNodeLoc(literal.member),
+      range: this.createNodeRange(literal.member)
+    }));
+
+    if (types.length === 0) {
+      return this.createUnsupportedType(typeNode, 'Variant has no cases that can be used as enum values');
+    }
+
+    if (types.length === 1) {
+      return types[0];
+    }
+
+    return {
+      type: 'UnionTypeAnnotation',
+      types,
+      loc: this.createNodeLoc(typeNode),
+      range: this.createNodeRange(typeNode)
+    };
+  }
+
+  // The cases of a variant that are enum values, with the literal annotation each becomes. The
+  // Flow AST and the codegen schema both build their unions from these.
+  getLiteralCases(typeNode) {
+    const members = typeNode.kind === 'PolyVariant' ? typeNode.tags : typeNode.constructors;
+
+    // Inherited and payload cases are reported by `createLiteralUnion`.
+    return members
+      .filter(member => member.kind !== 'Inherit' && member.args.length === 0)
+      .map(member => {
+        const { value, numeric } = this.getLiteralCase(member);
+        return {
+          member,
+          numeric,
+          value: numeric ? Number(value) : value,
+          type: numeric ? 'NumberLiteralTypeAnnotation' : 'StringLiteralTypeAnnotation'
+        };
+      });
+  }
+
+  getLiteralCase(member) {
+    // `@as("...")` / `@as(1)` changes the runtime representation of a case.
+    const asValue = this.getAttribute(member.attributes, 'as')?.payload?.[0];
+    if (asValue?.kind === 'String' || asValue?.kind === 'Number') {
+      return { value: asValue.value, numeric: asValue.kind === 'Number' };
+    }
+    return { value: member.name, numeric: !!member.numeric };
+  }
+
+  getAttribute(attributes, name) {
+    return (attributes || []).find(attribute => attribute.name === name) || null;
+  }
+
+  createTypeReference(typeNode) {
+    const path = typeNode.path;
+    const typeName = path[path.length - 1];
+
+    // Qualified names point into other modules and cannot be checked from here. A
+    // bare name may still come from an opened module, so that case is only a warning.
+    if (path.length === 1 && !this.declaredTypes.has(typeName)) {
+      const message = `Cannot find type '${typeName}'`;
+      if (this.hasForeignOpens) {
+        this.addWarning(message, typeNode.start, DIAGNOSTIC_CODES.UNKNOWN_TYPE, typeNode.end);
+      } else {
+        this.addError(message, typeNode.start, DIAGNOSTIC_CODES.UNKNOWN_TYPE, typeNode.end);
+      }
+    }
+
+    const localName = path.length === 1 && ['spec', 'commands'].includes(this.typeRoles.get(typeName))
+      ? this.getInterfaceName(typeName)
+      : typeName;
+
+    // `Shared.options` becomes `QualifiedTypeIdentifier(Shared, options)`, nested to the left.
+    const [firstSegment, ...restSegments] = typeNode.segments;
+    let id = {
+      type: 'Identifier',
+      name: path.length === 1 ? localName : firstSegment.name,
+      loc: this.createNodeLoc(firstSegment),
+      range: this.createNodeRange(firstSegment)
+    };
+    restSegments.forEach(segment => {
+      id = {
+        type: 'QualifiedTypeIdentifier',
+        qualification: id,
+        id: {
+          type: 'Identifier',
+          name: segment.name,
+          loc: this.createNodeLoc(segment),
+          range: this.createNodeRange(segment)
+        },
+        loc: this.createPositionLoc(firstSegment.start, segment.end),
+        range: this.createRange(firstSegment.start, segment.end)
+      };
+    });
+
+    return {
+      type: 'GenericTypeAnnotation',
+      id,
+      typeParameters: this.createTypeParameterInstantiation(typeNode),
+      loc: this.createNodeLoc(typeNode),
+      range: this.createNodeRange(typeNode)
+    };
+  }
+
+  createUnsupportedType(typeNode, message) {
+    this.addError(message, typeNode.start, DIAGNOSTIC_CODES.UNSUPPORTED_TYPE, typeNode.end);
+    return {
+      type: 'AnyTypeAnnotation',
+      loc: this.createNodeLoc(typeNode),
+      range: this.createNodeRange(typeNode)
+    };
+  }
+
+  // Index of the line containing `position`. A newline belongs to the line it ends.
+  getLineIndex(position) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (this.lineStarts[middle] <= position) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  getLineNumber(position) {
+    return this.getLineIndex(position) + 1;
+  }
+
+  getColumnNumber(position) {
+    return position - this.lineStarts[this.getLineIndex(position)];
+  }
+
+  getErrors() {
+    return this.errors;
+  }
+}
+
+// Rewrites the Flow-shaped statements into the TypeScript nodes @babel/parser produces, which
+// is what codegen's TypeScript parser reads. Locations are carried over from the Flow nodes.
+class ReScriptTypeScriptConverter {
+  createNode(type, source, fields) {
+    const node = Object.assign({ type }, fields, { loc: source.loc, range: source.range });
+    if (source.leadingComments) node.leadingComments = source.leadingComments;
+    return node;
+  }
+
+  convertStatement(statement) {
+    switch (statement.type) {
+      case 'ExportNamedDeclaration':
+        return Object.assign({}, statement, { declaration: this.convertDeclaration(statement.declaration) });
+      case 'ExportDefaultDeclaration':
+        return Object.assign({}, statement, { declaration: this.convertCall(statement.declaration) });
+      default:
+        return statement;
+    }
+  }
+
+  convertCall(call) {
+    const { typeArguments, ...rest } = call;
+    return Object.assign({}, rest, {
+      arguments: call.arguments.map(argument => this.convertExpression(argument)),
+      typeParameters: typeArguments ? this.convertTypeParameters(typeArguments) : null
+    });
+  }
+
+  convertExpression(expression) {
+    switch (expression.type) {
+      case 'Literal': {
+        const type = typeof expression.value === 'number' ? 'NumericLiteral'
+          : typeof expression.value === 'boolean' ? 'BooleanLiteral' : 'StringLiteral';
+        const extra = type === 'BooleanLiteral' ? {} : { extra: { rawValue: expression.value, raw: expression.raw } };
+        return this.createNode(type, expression, Object.assign({ value: expression.value }, extra));
+      }
+      case 'ArrayExpression':
+        return this.createNode('ArrayExpression', expression, {
+          elements: expression.elements.map(element => this.convertExpression(element))
+        });
+      case 'ObjectExpression':
+        return this.createNode('ObjectExpression', expression, {
+          properties: expression.properties.map(property => this.createNode('ObjectProperty', property, {
+            key: property.key,
+            value: this.convertExpression(property.value),
+            computed: false,
+            shorthand: false
+          }))
+        });
+      default:
+        return expression;
+    }
+  }
+
+  convertDeclaration(declaration) {
+    if (declaration.type === 'VariableDeclaration') {
+      return Object.assign({}, declaration, {
+        declarations: declaration.declarations.map(declarator =>
+          Object.assign({}, declarator, { init: this.convertCall(declarator.init) })
+        )
+      });
+    }
+
+    if (declaration.type === 'InterfaceDeclaration') {
+      return this.createNode('TSInterfaceDeclaration', declaration, {
+        id: declaration.id,
+        extends: declaration.extends.map(parent => this.createHeritage(parent.id, parent)),
+        body: this.createNode('TSInterfaceBody', declaration.body, {
+          body: declaration.body.properties.map(property => this.convertProperty(property))
+        })
+      });
+    }
+
+    const right = declaration.right;
+    const spreads = right.type === 'ObjectTypeAnnotation'
+      ? right.properties.filter(property => property.type === 'ObjectTypeSpreadProperty')
+      : [];
+
+    // Types cannot spread into object types, so records with spreads become interfaces extending them.
+    if (spreads.length > 0) {
+      return this.createNode('TSInterfaceDeclaration', declaration, {
+        id: declaration.id,
+        extends: spreads.map(spread => this.createHeritage(
+          Object.assign({ type: 'Identifier', loc: spread.argument.loc, range: spread.argument.range }, spread.argument.id),
+          spread
+        )),
+        body: this.createNode('TSInterfaceBody', right, {
+          body: right.properties
+            .filter(property => property.type !== 'ObjectTypeSpreadProperty')
+            .map(property => this.convertProperty(property))
+        })
+      });
+    }
+
+    return this.createNode('TSTypeAliasDeclaration', declaration, {
+      id: declaration.id,
+      typeParameters: null,
+      typeAnnotation: this.convertType(right)
+    });
+  }
+
+  createHeritage(id, source) {
+    return this.createNode('TSExpressionWithTypeArguments', source, { expression: id, typeParameters: null });
+  }
+
+  convertProperty(property) {
+    return this.createNode('TSPropertySignature', property, {
+      key: property.key,
+      computed: false,
+      optional: !!property.optional,
+      readonly: false,
+      typeAnnotation: this.createTypeAnnotation(property.value)
+    });
+  }
+
+  createTypeAnnotation(type) {
+    return this.createNode('TSTypeAnnotation', type, { typeAnnotation: this.convertType(type) });
+  }
+
+  convertTypeParameters(instantiation) {
+    return this.createNode('TSTypeParameterInstantiation', instantiation, {
+      params: instantiation.params.map(param => this.convertType(param))
+    });
+  }
+
+  convertTypeName(id) {
+    if (id.type === 'QualifiedTypeIdentifier') {
+      return this.createNode('TSQualifiedName', id, { left: this.convertTypeName(id.qualification), right: id.id });
+    }
+    return id;
+  }
+
+  convertType(type) {
+    switch (type.type) {
+      case 'StringTypeAnnotation':
+        return this.createNode('TSStringKeyword', type, {});
+      case 'NumberTypeAnnotation':
+        return this.createNode('TSNumberKeyword', type, {});
+      case 'BooleanTypeAnnotation':
+        return this.createNode('TSBooleanKeyword', type, {});
+      case 'VoidTypeAnnotation':
+        return this.createNode('TSVoidKeyword', type, {});
+      case 'MixedTypeAnnotation':
+        return this.createNode('TSUnknownKeyword', type, {});
+      case 'AnyTypeAnnotation':
+        return this.createNode('TSAnyKeyword', type, {});
+      case 'NullLiteralTypeAnnotation':
+        return this.createNode('TSNullKeyword', type, {});
+      case 'StringLiteralTypeAnnotation':
+        return this.createNode('TSLiteralType', type, {
+          literal: this.createNode('StringLiteral', type, { value: type.value, extra: { rawValue: type.value, raw: type.raw } })
+        });
+      case 'NumberLiteralTypeAnnotation':
+        return this.createNode('TSLiteralType', type, {
+          literal: this.createNode('NumericLiteral', type, { value: type.value, extra: { rawValue: type.value, raw: type.raw } })
+        });
+      case 'BooleanLiteralTypeAnnotation':
+        return this.createNode('TSLiteralType', type, {
+          literal: this.createNode('BooleanLiteral', type, { value: type.value })
+        });
+      case 'NullableTypeAnnotation':
+        return this.createNode('TSUnionType', type, {
+          types: [this.convertType(type.typeAnnotation), this.createNode('TSNullKeyword', type, {})]
+        });
+      case 'ArrayTypeAnnotation':
+        return this.createNode('TSArrayType', type, { elementType: this.convertType(type.elementType) });
+      case 'UnionTypeAnnotation':
+        return this.createNode('TSUnionType', type, { types: type.types.map(member => this.convertType(member)) });
+      case 'FunctionTypeAnnotation':
+        return this.createNode('TSFunctionType', type, {
+          parameters: type.params.map(param => this.createNode('Identifier', param, {
+            name: param.name.name,
+            optional: !!param.optional,
+            typeAnnotation: this.createTypeAnnotation(param.typeAnnotation)
+          })),
+          typeAnnotation: this.createTypeAnnotation(type.returnType)
+        });
+      case 'ObjectTypeAnnotation':
+        return this.createNode('TSTypeLiteral', type, {
+          members: [
+            ...type.properties
+              .filter(property => property.type === 'ObjectTypeProperty')
+              .map(property => this.convertProperty(property)),
+            ...(type.indexers || []).map(indexer => this.createNode('TSIndexSignature', indexer, {
+              parameters: [this.createNode('Identifier', indexer, {
+                name: 'key',
+                typeAnnotation: this.createTypeAnnotation(indexer.key)
+              })],
+              typeAnnotation: this.createTypeAnnotation(indexer.value)
+            }))
+          ]
+        });
+      case 'GenericTypeAnnotation':
+        return this.createNode('TSTypeReference', type, {
+          typeName: this.convertTypeName(type.id),
+          typeParameters: type.typeParameters ? this.convertTypeParameters(type.typeParameters) : null
+        });
+      default:
+        throw new Error(`Cannot convert ${type.type} to TypeScript`);
+    }
+  }
+}
+
+// Builds the @react-native/codegen SchemaType from the ReScript items a parser has read,
+// without going through the Flow-shaped AST.
+class ReScriptSchemaBuilder {
+  constructor(parser) {
+    this.parser = parser;
+    this.typeDeclarations = new Map(
+      parser.items.filter(item => item.kind === 'TypeDeclaration').map(item => [item.name, item])
+    );
+    this.resolving = new Set();
+    this.aliasMap = {};
+    this.cxxOnly = false;
+  }
+
+  build() {
+    const modules = {};
+
+    this.parser.items.forEach(item => {
+      const lookup = this.parser.getModuleLookup(item);
+      const nameArgument = lookup ? lookup.moduleArgument : item.init?.arguments?.[0]?.value;
+      if (nameArgument?.kind !== 'String') return;
+
+      try {
+        if (lookup) {
+          const spec = this.findRoleDeclaration('spec', item);
+          if (spec) {
+            const hasteModuleName = this.getHasteModuleName(nameArgument.value);
+            modules[hasteModuleName] = this.buildNativeModule(nameArgument.value, hasteModuleName, spec);
+          }
+        } else if (this.parser.isCodegenComponentCall(item.init)) {
+          const props = this.findRoleDeclaration('props', item);
+          if (props) {
+            modules[nameArgument.value] = this.buildComponentModule(nameArgument.value, props, item.init.arguments[1]?.value);
+          }
+        }
+      } catch (error) {
+        this.parser.addError(`Schema building error: ${error.message}`, item.start);
+      }
+    });
+
+    return { modules };
+  }
+
+  findRoleDeclaration(role, item) {
+    const typeName = this.parser.getTypeNameForRole(role);
+    if (!typeName) {
+      this.parser.addError(`Cannot find the ${role} type for '${this.parser.input.slice(item.start, item.end)}'`, item.start, DIAGNOSTIC_CODES.UNKNOWN_TYPE, item.end);
+      return null;
+    }
+    return this.typeDeclarations.get(typeName);
+  }
+
+  getHasteModuleName(moduleName) {
+    // Codegen keys modules by file name (`NativeFoo.res` -> `NativeFoo`), like the Flow and TypeScript parsers.
+    const filename = this.parser.filename;
+    if (!filename) return moduleName;
+    return filename.replace(/^.*[\\/]/, '').replace(/\.[^.]*$/, '');
+  }
+
+  getDeclaredObject(typeNode) {
+    if (typeNode.kind !== 'TypeConstructor' || typeNode.path.length !== 1) return null;
+    const declaration = this.typeDeclarations.get(typeNode.path[0]);
+    return declaration && this.parser.isObjectLikeType(declaration.body) ? declaration : null;
+  }
+
+  // Spreads of local object types are flattened; `...turboModule` and `...View.viewProps` are not fields.
+  getObjectFields(record, seen = new Set()) {
+    const fields = [];
+
+    record.fields.forEach(field => {
+      if (field.kind === 'Field') {
+        fields.push(field);
+        return;
+      }
+
+      const declaration = this.getDeclaredObject(field.type);
+      if (declaration && !seen.has(declaration.name)) {
+        seen.add(declaration.name);
+        fields.push(...this.getObjectFields(declaration.body, seen));
+      }
+    });
+
+    return fields;
+  }
+
+  reportUnsupported(typeNode, message) {
+    this.parser.addError(message, typeNode.start, DIAGNOSTIC_CODES.UNSUPPORTED_TYPE, typeNode.end);
+  }
+
+  // Native modules
+
+  buildNativeModule(moduleName, hasteModuleName, spec) {
+    const { cxxOnly, excludedPlatforms } = this.getPlatforms([moduleName, hasteModuleName]);
+    const methods = [];
+    this.cxxOnly = cxxOnly;
+
+    this.getObjectFields(spec.body).forEach(field => {
+      const type = this.parser.resolveTypeAlias(field.type);
+      if (type.kind !== 'Arrow') {
+        this.reportUnsupported(field, `Spec property '${field.name}' must be a function`);
+        return;
+      }
+
+      methods.push({
+        name: this.parser.getFieldKey(field),
+        optional: field.optional,
+        typeAnnotation: this.createModuleType(type)
+      });
+    });
+
+    return {
+      type: 'NativeModule',
+      aliasMap: this.aliasMap,
+      enumMap: {},
+      spec: {
+        eventEmitters: [],
+        methods
+      },
+      moduleName,
+      excludedPlatforms: excludedPlatforms.length > 0 ? excludedPlatforms : undefined
+    };
+  }
+
+  // Platform suffixes on the module or file name, as codegen reads them: `NativeFooAndroid`, `NativeFooCxx`.
+  getPlatforms(names) {
+    let cxxOnly = false;
+    const excludedPlatforms = new Set();
+
+    names.forEach(name => {
+      if (name.endsWith('Android')) {
+        excludedPlatforms.add('iOS');
+      } else if (name.endsWith('IOS')) {
+        excludedPlatforms.add('android');
+      } else if (name.endsWith('Windows')) {
+        excludedPlatforms.add('iOS');
+        excludedPlatforms.add('android');
+      } else if (name.endsWith('Cxx')) {
+        cxxOnly = true;
+        excludedPlatforms.add('iOS');
+        excludedPlatforms.add('android');
+      }
+    });
+
+    return { cxxOnly, excludedPlatforms: Array.from(excludedPlatforms) };
+  }
+
+  createModuleType(typeNode) {
+    const type = this.parser.resolveTypeAlias(typeNode);
+
+    if (type.kind === 'Arrow') {
+      return {
+        type: 'FunctionTypeAnnotation',
+        returnTypeAnnotation: this.createModuleType(type.returnType),
+        params: this.parser.getFunctionParams(type).map((param, index) => ({
+          name: param.name ? param.name.name : `param${index}`,
+          optional: param.optional,
+          typeAnnotation: this.createModuleType(param.type)
+        }))
+      };
+    }
+
+    if (this.parser.isObjectLikeType(type)) {
+      return { type: 'ObjectTypeAnnotation', properties: this.createModuleProperties(type) };
+    }
+
+    if (type.kind === 'Variant' || type.kind === 'PolyVariant') {
+      return this.createModuleUnion(type);
+    }
+
+    // Anything else was already reported while building the Flow AST.
+    if (type.kind !== 'TypeConstructor') {
+      return { type: 'MixedTypeAnnotation' };
+    }
+
+    const typeName = type.path.join('.');
+    const typeArgument = type.args[0];
+
+    if (CODEGEN_NUMBER_TYPES[typeName]) {
+      return { type: `${CODEGEN_NUMBER_TYPES[typeName]}TypeAnnotation` };
+    }
+    if (PRIMITIVE_TYPES[typeName] === 'MixedTypeAnnotation' && !this.cxxOnly) {
+      // Only C++ modules can take arbitrary values; the platform modules see a plain object.
+      return { type: 'GenericObjectTypeAnnotation' };
+    }
+    if (PRIMITIVE_TYPES[typeName]) {
+      return { type: PRIMITIVE_TYPES[typeName] };
+    }
+    if (NULLABLE_TYPES.includes(typeName) && typeArgument) {
+      return { type: 'NullableTypeAnnotation', typeAnnotation: this.createModuleType(typeArgument) };
+    }
+    if (ARRAY_TYPES.includes(typeName) && typeArgument) {
+      return { type: 'ArrayTypeAnnotation', elementType: this.createModuleType(typeArgument) };
+    }
+    if (PROMISE_TYPES.includes(typeName) && typeArgument) {
+      return { type: 'PromiseTypeAnnotation', elementType: this.createModuleType(typeArgument) };
+    }
+    if (DICT_TYPES.includes(typeName) && typeArgument) {
+      return { type: 'GenericObjectTypeAnnotation', dictionaryValueType: this.createModuleType(typeArgument) };
+    }
+
+    const declaration = this.getDeclaredObject(type);
+    if (declaration) {
+      // Recursive records only need the alias name while their fields are still being built.
+      if (!this.aliasMap[declaration.name] && !this.resolving.has(declaration.name)) {
+        this.resolving.add(declaration.name);
+        const properties = this.createModuleProperties(declaration.body);
+        this.resolving.delete(declaration.name);
+        this.aliasMap[declaration.name] = { type: 'ObjectTypeAnnotation', properties };
+      }
+      return { type: 'TypeAliasTypeAnnotation', name: declaration.name };
+    }
+
+    if (type.path.length > 1) {
+      this.reportUnsupported(type, `Cannot resolve '${typeName}' for the codegen schema; declare the type in this file`);
+    }
+    return { type: 'MixedTypeAnnotation' };
+  }
+
+  createModuleProperties(record) {
+    return this.getObjectFields(record).map(field => ({
+      name: this.parser.getFieldKey(field),
+      optional: field.optional,
+      typeAnnotation: this.createModuleType(field.type)
+    }));
+  }
+
+  // Mirrors the literal union of the Flow AST, which is what codegen's parsers translate.
+  createModuleUnion(typeNode) {
+    const cases = this.parser.getLiteralCases(typeNode);
+    if (cases.length === 0) {
+      return { type: 'MixedTypeAnnotation' };
+    }
+
+    if (cases.some(literal => literal.numeric !== cases[0].numeric)) {
+      this.reportUnsupported(typeNode, 'Variant cases must all be strings or all be numbers');
+      return { type: 'MixedTypeAnnotation' };
+    }
+
+    const types = cases.map(literal => ({ type: literal.type, value: literal.value }));
+    return types.length === 1 ? types[0] : { type: 'UnionTypeAnnotation', types };
+  }
+
+  // Components
+
+  buildComponentModule(componentName, props, options) {
+    const extendsProps = [];
+    const hasViewProps = props.body.fields.some(field =>
+      field.kind === 'Spread' && field.type.path?.join('.') === 'View.viewProps'
+    );
+    if (hasViewProps) {
+      extendsProps.push({ type: 'ReactNativeBuiltInType', knownTypeName: 'ReactNativeCoreViewProps' });
+    }
+
+    return {
+      type: 'Component',
+      components: {
+        [componentName]: {
+          ...this.getComponentOptions(options),
+          extendsProps,
+          events: this.createEvents(props.body),
+          props: this.createComponentProps(props.body),
+          commands: this.createCommands()
+        }
+      }
+    };
+  }
+
+  getEventHandlerType(type) {
+    return type.kind === 'TypeConstructor' ? EVENT_HANDLER_TYPES[type.path.join('.')] || null : null;
+  }
+
+  createEvents(record) {
+    const events = [];
+
+    this.getObjectFields(record).forEach(field => {
+      let type = this.parser.resolveTypeAlias(field.type);
+      const nullable = type.kind === 'TypeConstructor' && NULLABLE_TYPES.includes(type.path.join('.')) && type.args[0];
+      if (nullable) {
+        type = this.parser.resolveTypeAlias(type.args[0]);
+      }
+
+      const handlerType = this.getEventHandlerType(type);
+      if (!handlerType) return;
+
+      // Malformed handler types were already reported while building the Flow AST.
+      const [payload, paperName] = type.args;
+      if (!payload) return;
+
+      const event = {
+        name: this.parser.getFieldKey(field),
+        optional: field.optional || !!nullable,
+        bubblingType: handlerType === 'BubblingEventHandler' ? 'bubble' : 'direct'
+      };
+      if (paperName?.kind === 'PolyVariant' && paperName.tags.length === 1 && paperName.tags[0].kind !== 'Inherit') {
+        event.paperTopLevelNameDeprecated = String(this.parser.getLiteralCase(paperName.tags[0]).value);
+      }
+      event.typeAnnotation = {
+        type: 'EventTypeAnnotation',
+        argument: {
+          type: 'ObjectTypeAnnotation',
+          properties: this.parser.isUnitType(payload) ? [] : this.createEventPayload(field.name, payload)
+        }
+      };
+      events.push(event);
+    });
+
+    return events;
+  }
+
+  createEventPayload(eventName, typeNode) {
+    const type = this.parser.resolveTypeAlias(typeNode);
+    const declaration = this.getDeclaredObject(type);
+    const record = declaration ? declaration.body : type;
+
+    if (!this.parser.isObjectLikeType(record)) {
+      this.reportUnsupported(type, `The payload of event '${eventName}' must be a record`);
+      return [];
+    }
+
+    return this.getObjectFields(record).map(field => ({
+      name: this.parser.getFieldKey(field),
+      optional: field.optional,
+      typeAnnotation: this.createEventType(eventName, field.type)
+    }));
+  }
+
+  createEventType(eventName, typeNode) {
+    const type = this.parser.resolveTypeAlias(typeNode);
+
+    if (type.kind === 'Variant' || type.kind === 'PolyVariant') {
+      const cases = this.parser.getLiteralCases(type);
+      if (cases.some(literal => literal.numeric)) {
+        this.reportUnsupported(type, `Event '${eventName}' can only use string enums`);
+      }
+      return {
+        type: 'UnionTypeAnnotation',
+        types: cases.map(literal => ({ type: 'StringLiteralTypeAnnotation', value: String(literal.value) }))
+      };
+    }
+
+    const declaration = this.getDeclaredObject(type);
+    if (declaration || this.parser.isObjectLikeType(type)) {
+      if (declaration && this.resolving.has(declaration.name)) {
+        this.reportUnsupported(type, `Event '${eventName}' refers to '${declaration.name}' recursively`);
+        return { type: 'MixedTypeAnnotation' };
+      }
+
+      if (declaration) this.resolving.add(declaration.name);
+      try {
+        return { type: 'ObjectTypeAnnotation', properties: this.createEventPayload(eventName, type) };
+      } finally {
+        if (declaration) this.resolving.delete(declaration.name);
+      }
+    }
+
+    const typeName = type.kind === 'TypeConstructor' ? type.path.join('.') : null;
+    const numberType = CODEGEN_NUMBER_TYPES[typeName] || COMPONENT_NUMBER_TYPES[typeName];
+    if (numberType) {
+      return { type: `${numberType}TypeAnnotation` };
+    }
+
+    switch (PRIMITIVE_TYPES[typeName]) {
+      case 'StringTypeAnnotation':
+      case 'BooleanTypeAnnotation':
+        return { type: PRIMITIVE_TYPES[typeName] };
+      case 'MixedTypeAnnotation':
+        return { type: 'MixedTypeAnnotation' };
+    }
+
+    if (ARRAY_TYPES.includes(typeName) && type.args[0]) {
+      return { type: 'ArrayTypeAnnotation', elementType: this.createEventType(eventName, type.args[0]) };
+    }
+
+    const hint = NULLABLE_TYPES.includes(typeName) ? '; make the field optional with `?` instead' : '';
+    this.reportUnsupported(type, `Type '${this.parser.input.slice(type.start, type.end)}' cannot be used in the payload of event '${eventName}'${hint}`);
+    return { type: 'MixedTypeAnnotation' };
+  }
+
+  // Invalid options were already reported while building the Flow AST.
+  getComponentOptions(options) {
+    if (options?.kind !== 'Record') return {};
+
+    return options.fields.reduce((result, field) => {
+      const value = field.value;
+      if (COMPONENT_OPTIONS[field.key.name] === value.kind) {
+        result[field.key.name] = value.kind === 'Array'
+          ? value.elements.map(element => element.kind === 'PolyVariant' ? element.name : element.value)
+          : value.value;
+      }
+      return result;
+    }, {});
+  }
+
+  createCommands() {
+    const hasCommands = this.parser.items.some(item => item.kind === 'Let' && this.parser.isCodegenCommandsCall(item.init));
+    const commandsName = this.parser.getTypeNameForRole('commands');
+    if (!hasCommands || !commandsName) return [];
+
+    // Malformed commands were already reported while building the Flow AST.
+    return this.typeDeclarations.get(commandsName).body.fields
+      .filter(field => field.kind === 'Field' && field.type.kind === 'Arrow')
+      .map(field => ({
+        name: this.parser.getFieldKey(field),
+        optional: field.optional,
+        typeAnnotation: {
+          type: 'FunctionTypeAnnotation',
+          params: this.parser.getFunctionParams(field.type).slice(1).map((param, index) => ({
+            name: param.name ? param.name.name : `param${index}`,
+            optional: false,
+            typeAnnotation: this.createCommandParamType(field.name, param.type)
+          })),
+          returnTypeAnnotation: { type: 'VoidTypeAnnotation' }
+        }
+      }));
+  }
+
+  createCommandParamType(commandName, typeNode) {
+    const type = this.parser.resolveTypeAlias(typeNode);
+    const typeName = type.kind === 'TypeConstructor' ? type.path.join('.') : null;
+    const numberType = CODEGEN_NUMBER_TYPES[typeName] || COMPONENT_NUMBER_TYPES[typeName];
+
+    if (numberType) {
+      return { type: `${numberType}TypeAnnotation` };
+    }
+    if (PRIMITIVE_TYPES[typeName] === 'StringTypeAnnotation' || PRIMITIVE_TYPES[typeName] === 'BooleanTypeAnnotation') {
+      return { type: PRIMITIVE_TYPES[typeName] };
+    }
+    if (ARRAY_TYPES.includes(typeName) && type.args[0]) {
+      return { type: 'ArrayTypeAnnotation', elementType: this.createCommandParamType(commandName, type.args[0]) };
+    }
+
+    this.reportUnsupported(type, `Type '${this.parser.input.slice(type.start, type.end)}' cannot be used as an argument of command '${commandName}'`);
+    return { type: 'MixedTypeAnnotation' };
+  }
+
+  createComponentProps(record) {
+    return this.getObjectFields(record)
+      .map(field => this.createComponentProp(field))
+      .filter(Boolean);
+  }
+
+  createComponentProp(field) {
+    let type = this.parser.resolveTypeAlias(field.type);
+    const nullable = type.kind === 'TypeConstructor' && NULLABLE_TYPES.includes(type.path.join('.')) && type.args[0];
+
+    // Props are always nullable on the native side, so `option<t>` only makes them optional.
+    if (nullable) {
+      type = this.parser.resolveTypeAlias(type.args[0]);
+    }
+
+    if (type.kind === 'Arrow') {
+      this.reportUnsupported(field, `Prop '${field.name}' is a function; use directEventHandler<payload> or bubblingEventHandler<payload> for events`);
+      return null;
+    }
+
+    // Event handlers are listed in `events`, not `props`.
+    if (this.getEventHandlerType(type)) {
+      return null;
+    }
+
+    // Invalid defaults were already reported while building the Flow AST.
+    const defaultValue = this.parser.getDefaultValue(field);
+    const typeAnnotation = this.createPropType(field.name, type, true, defaultValue?.error ? undefined : defaultValue?.value);
+    if (!typeAnnotation) return null;
+
+    return {
+      name: this.parser.getFieldKey(field),
+      optional: field.optional || !!nullable,
+      typeAnnotation
+    };
+  }
+
+  // `defaultValue` is the `@default(...)` value, or undefined when the prop has none.
+  createPropType(propName, typeNode, withDefault, defaultValue) {
+    const type = this.parser.resolveTypeAlias(typeNode);
+    const hasDefault = defaultValue !== undefined;
+
+    if (this.parser.isObjectLikeType(type)) {
+      return { type: 'ObjectTypeAnnotation', properties: this.createComponentProps(type) };
+    }
+
+    if (type.kind === 'Variant' || type.kind === 'PolyVariant') {
+      if (!hasDefault) {
+        this.reportUnsupported(type, `A default enum value is required for prop '${propName}', e.g. @default(#value)`);
+        return null;
+      }
+
+      const cases = this.parser.getLiteralCases(type);
+      const numeric = cases[0]?.numeric;
+      if (cases.some(literal => literal.numeric !== numeric)) {
+        this.reportUnsupported(type, `Enum prop '${propName}' must have only string or only number cases`);
+        return null;
+      }
+      return {
+        type: numeric ? 'Int32EnumTypeAnnotation' : 'StringEnumTypeAnnotation',
+        default: defaultValue,
+        options: cases.map(literal => literal.value)
+      };
+    }
+
+    if (type.kind !== 'TypeConstructor') {
+      return null;
+    }
+
+    const typeName = type.path.join('.');
+    const numberType = CODEGEN_NUMBER_TYPES[typeName] || COMPONENT_NUMBER_TYPES[typeName];
+
+    if (numberType) {
+      return withDefault ? { type: `${numberType}TypeAnnotation`, default: hasDefault ? defaultValue : 0 } : { type: `${numberType}TypeAnnotation` };
+    }
+
+    switch (PRIMITIVE_TYPES[typeName]) {
+      case 'StringTypeAnnotation':
+        return withDefault ? { type: 'StringTypeAnnotation', default: hasDefault ? defaultValue : null } : { type: 'StringTypeAnnotation' };
+      case 'BooleanTypeAnnotation':
+        return withDefault ? { type: 'BooleanTypeAnnotation', default: hasDefault ? defaultValue : false } : { type: 'BooleanTypeAnnotation' };
+      case 'MixedTypeAnnotation':
+        return { type: 'MixedTypeAnnotation' };
+    }
+
+    if (ARRAY_TYPES.includes(typeName) && type.args[0]) {
+      const elementType = this.parser.resolveTypeAlias(type.args[0]);
+      if (elementType.kind === 'TypeConstructor' && NULLABLE_TYPES.includes(elementType.path.join('.'))) {
+        this.reportUnsupported(elementType, `Nested optionals are not supported in prop '${propName}'; make the array itself optional`);
+        return null;
+      }
+
+      // Codegen's schema only has arrays of arrays for objects.
+      const element = this.createPropType(propName, elementType, false);
+      if (element?.type === 'ArrayTypeAnnotation' && element.elementType.type !== 'ObjectTypeAnnotation') {
+        this.reportUnsupported(elementType, `Only arrays of arrays of objects are supported in prop '${propName}'`);
+        return null;
+      }
+      return element && { type: 'ArrayTypeAnnotation', elementType: element };
+    }
+
+    const declaration = this.getDeclaredObject(type);
+    if (declaration) {
+      if (this.resolving.has(declaration.name)) {
+        this.reportUnsupported(type, `Prop '${propName}' refers to '${declaration.name}' recursively`);
+        return null;
+      }
+
+      this.resolving.add(declaration.name);
+      try {
+        return { type: 'ObjectTypeAnnotation', properties: this.createComponentProps(declaration.body) };
+      } finally {
+        this.resolving.delete(declaration.name);
+      }
+    }
+
+    this.reportUnsupported(type, `Type '${typeName}' cannot be used for component prop '${propName}'`);
+    return null;
+  }
+}
+
+// Checks a `parse()` AST against the rules codegen's parsers and generators enforce, so that an
+// invalid spec is reported here instead of in a native build. Reads both the Flow and the
+// TypeScript output.
+class ReScriptSpecValidator {
+  constructor(ast) {
+    this.body = ast?.body || [];
+    this.findings = [];
+    this.declarations = new Map();
+  }
+
+  validate() {
+    const calls = [];
+    this.body.forEach(statement => {
+      if (statement.type === 'ExportDefaultDeclaration') {
+        calls.push(statement.declaration);
+        return;
+      }
+
+      const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+      if (declaration?.type === 'VariableDeclaration') {
+        declaration.declarations.forEach(declarator => calls.push(declarator.init));
+      } else if (declaration?.id && this.getMembers(declaration)) {
+        this.declarations.set(declaration.id.name, declaration);
+      }
+    });
+
+    const isComponent = calls.some(call => this.getCalleeName(call) === 'codegenNativeComponent');
+    calls.forEach(call => {
+      const calleeName = this.getCalleeName(call);
+      if (/^TurboModuleRegistry\.(get|getEnforcing)$/.test(calleeName)) {
+        this.validateModuleLookup(call);
+      } else if (calleeName === 'codegenNativeComponent') {
+        this.validateProps(call);
+      } else if (calleeName === 'codegenNativeCommands') {
+        const commands = this.declarations.get(this.getTypeArgumentName(call));
+        if (commands) this.checkDuplicateMembers(commands);
+      }
+    });
+
+    this.declarations.forEach(declaration => {
+      // `buildSchema` finds the spec by its role and never uses the name, so only the printed
+      // Flow/TypeScript spec is affected.
+      if (this.extendsTurboModule(declaration) && declaration.id.name !== 'Spec') {
+        this.report(DIAGNOSTIC_CODES.MISNAMED_SPEC, `Codegen's Flow and TypeScript parsers only accept a TurboModule interface called 'Spec', but this one is '${declaration.id.name}'; name the ReScript type \`spec\` (or \`Spec.t\`) to use the printed spec with them`, declaration.id, 'warning');
+      }
+      this.getMembers(declaration).forEach(member => this.checkUnions(member.type, !isComponent));
+    });
+
+    return this.findings;
+  }
+
+  validateModuleLookup(call) {
+    const specName = this.getTypeArgumentName(call);
+    const spec = this.declarations.get(specName);
+    if (!spec) {
+      this.report(DIAGNOSTIC_CODES.MISSING_TURBO_MODULE_SPREAD, `No spec type spreading \`...turboModule\` was found for this module`, call);
+      return;
+    }
+    if (!this.extendsTurboModule(spec)) {
+      this.report(DIAGNOSTIC_CODES.MISSING_TURBO_MODULE_SPREAD, `Spec '${specName}' must spread \`...turboModule\` so that it extends TurboModule`, spec.id);
+    }
+
+    this.checkDuplicateMembers(spec);
+    this.getMembers(spec).forEach(member => {
+      if (!this.isFunctionType(member.type)) return;
+
+      this.getFunctionParams(member.type).forEach(param => {
+        const [type, nullable] = this.unwrapNullable(param.type);
+        if (this.isFunctionType(type) && (nullable || param.optional)) {
+          this.report(DIAGNOSTIC_CODES.NULLABLE_CALLBACK, `Callback '${param.name}' of method '${member.name}' cannot be optional or nullable; native modules always receive their callbacks`, param.node);
+        }
+      });
+    });
+  }
+
+  validateProps(call) {
+    const props = this.declarations.get(this.getTypeArgumentName(call));
+    if (!props) return;
+
+    this.checkDuplicateMembers(props);
+    this.getMembers(props).forEach(member => {
+      if (this.isFunctionType(this.unwrapNullable(member.type)[0])) {
+        this.report(DIAGNOSTIC_CODES.FUNCTION_PROP, `Prop '${member.name}' is a function; use directEventHandler<payload> or bubblingEventHandler<payload> for events`, member.node);
+      } else if (this.containsFunctionType(member.type, new Set())) {
+        this.report(DIAGNOSTIC_CODES.FUNCTION_PROP, `Prop '${member.name}' contains a function type, which component props cannot carry`, member.node);
+      }
+    });
+  }
+
+  checkDuplicateMembers(declaration) {
+    const seen = new Set();
+    this.getMembers(declaration).forEach(member => {
+      if (seen.has(member.name)) {
+        this.report(DIAGNOSTIC_CODES.DUPLICATE_MEMBER, `'${member.name}' is declared more than once in '${declaration.id.name}'`, member.node);
+      }
+      seen.add(member.name);
+    });
+  }
+
+  // Codegen only supports unions whose members are all strings, all numbers or, in modules, all objects.
+  checkUnions(type, allowObjects) {
+    if (!type) return;
+
+    const members = this.getUnionMembers(type);
+    if (members) {
+      const kinds = Array.from(new Set(members.map(member => this.getUnionMemberKind(member))));
+      const supported = kinds.length === 1 && (kinds[0] === 'string' || kinds[0] === 'number' || (kinds[0] === 'object' && allowObjects));
+      if (!supported) {
+        const expected = allowObjects ? 'all be strings, all be numbers or all be objects' : 'all be strings or all be numbers';
+        this.report(DIAGNOSTIC_CODES.UNSUPPORTED_UNION, `Union members must ${expected}, but found ${kinds.join(', ')}`, type);
+      }
+    }
+
+    this.getChildTypes(type).forEach(child => this.checkUnions(child, allowObjects));
+  }
+
+  containsFunctionType(type, seen) {
+    if (!type) return false;
+    if (this.isFunctionType(type)) return true;
+
+    const name = this.getReferenceName(type);
+    const declaration = name && this.declarations.get(name);
+    if (declaration && !seen.has(name)) {
+      seen.add(name);
+      if (this.getMembers(declaration).some(member => this.containsFunctionType(member.type, seen))) return true;
+    }
+
+    return this.getChildTypes(type).some(child => this.containsFunctionType(child, seen));
+  }
+
+  report(code, message, node, severity = 'error') {
+    this.findings.push({
+      code,
+      severity,
+      message,
+      line: node.loc.start.line,
+      column: node.loc.start.column,
+      position: node.range[0],
+      loc: node.loc,
+      range: node.range
+    });
+  }
+
+  // AST shapes
+
+  getCalleeName(call) {
+    const callee = call?.callee;
+    if (callee?.type === 'Identifier') return callee.name;
+    if (callee?.type === 'MemberExpression') return `${callee.object.name}.${callee.property.name}`;
+    return null;
+  }
+
+  getTypeArgumentName(call) {
+    const argument = (call.typeArguments || call.typeParameters)?.params[0];
+    return this.getReferenceName(argument);
+  }
+
+  getReferenceName(type) {
+    if (type?.type === 'GenericTypeAnnotation') return type.id.name;
+    if (type?.type === 'TSTypeReference') return type.typeName.name;
+    return null;
+  }
+
+  extendsTurboModule(declaration) {
+    return (declaration.extends || []).some(parent => (parent.id || parent.expression)?.name === 'TurboModule');
+  }
+
+  // The named members of an interface or object type alias, or null for other declarations.
+  getMembers(declaration) {
+    switch (declaration.type) {
+      case 'InterfaceDeclaration':
+        return this.getObjectMembers(declaration.body);
+      case 'TSInterfaceDeclaration':
+        return this.getObjectMembers(declaration.body);
+      case 'TypeAlias':
+        return this.getObjectMembers(declaration.right) || [];
+      case 'TSTypeAliasDeclaration':
+        return this.getObjectMembers(declaration.typeAnnotation) || [];
+      default:
+        return null;
+    }
+  }
+
+  getObjectMembers(type) {
+    if (type.type === 'ObjectTypeAnnotation') {
+      return type.properties
+        .filter(property => property.type === 'ObjectTypeProperty')
+        .map(property => ({ name: property.key.name ?? property.key.value, type: property.value, optional: !!property.optional, node: property }));
+    }
+
+    const members = type.type === 'TSInterfaceBody' ? type.body : type.type === 'TSTypeLiteral' ? type.members : null;
+    return members && members
+      .filter(member => member.type === 'TSPropertySignature')
+      .map(member => ({ name: member.key.name ?? member.key.value, type: member.typeAnnotation.typeAnnotation, optional: !!member.optional, node: member }));
+  }
+
+  isFunctionType(type) {
+    return type?.type === 'FunctionTypeAnnotation' || type?.type === 'TSFunctionType';
+  }
+
+  getFunctionParams(type) {
+    if (type.type === 'FunctionTypeAnnotation') {
+      return type.params.map(param => ({ name: param.name?.name, type: param.typeAnnotation, optional: !!param.optional, node: param }));
+    }
+    return type.parameters.map(param => ({ name: param.name, type: param.typeAnnotation.typeAnnotation, optional: !!param.optional, node: param }));
+  }
+
+  // `?T` in Flow, `T | null` in TypeScript.
+  unwrapNullable(type) {
+    if (type?.type === 'NullableTypeAnnotation') return [type.typeAnnotation, true];
+    if (type?.type === 'TSUnionType') {
+      const members = type.types.filter(member => member.type !== 'TSNullKeyword');
+      if (members.length === 1 && members.length < type.types.length) return [members[0], true];
+    }
+    return [type, false];
+  }
+
+  getUnionMembers(type) {
+    if (type.type === 'UnionTypeAnnotation') return type.types;
+    if (type.type === 'TSUnionType') {
+      const members = type.types.filter(member => member.type !== 'TSNullKeyword');
+      return members.length > 1 ? members : null;
+    }
+    return null;
+  }
+
+  getUnionMemberKind(member) {
+    const literal = member.type === 'TSLiteralType' ? member.literal.type : member.type;
+    switch (literal) {
+      case 'StringLiteralTypeAnnotation':
+      case 'StringLiteral':
+        return 'string';
+      case 'NumberLiteralTypeAnnotation':
+      case 'NumericLiteral':
+        return 'number';
+      case 'ObjectTypeAnnotation':
+      case 'TSTypeLiteral':
+        return 'object';
+    }
+
+    const declaration = this.declarations.get(this.getReferenceName(member));
+    return declaration && this.getMembers(declaration) ? 'object' : literal;
+  }
+
+  getChildTypes(type) {
+    switch (type.type) {
+      case 'NullableTypeAnnotation':
+        return [type.typeAnnotation];
+      case 'ArrayTypeAnnotation':
+      case 'TSArrayType':
+        return [type.elementType];
+      case 'UnionTypeAnnotation':
+      case 'TSUnionType':
+        return type.types;
+      case 'FunctionTypeAnnotation':
+      case 'TSFunctionType':
+        return this.getFunctionParams(type).map(param => param.type).concat(type.returnType || type.typeAnnotation?.typeAnnotation);
+      case 'ObjectTypeAnnotation':
+      case 'TSTypeLiteral':
+        return this.getObjectMembers(type).map(member => member.type)
+          .concat((type.indexers || []).map(indexer => indexer.value));
+      case 'GenericTypeAnnotation':
+      case 'TSTypeReference':
+        return (type.typeParameters?.params || []);
+      default:
+        return [];
+    }
+  }
+}
+
+// Compares what two versions of a spec expose to native code: the TurboModule methods, or the
+// component's props, events and commands. Works on the Flow ASTs from `parse()`, with local type
+// aliases resolved, so renaming or moving a helper type is not a change.
+class ReScriptSpecDiff {
+  constructor(oldAst, newAst) {
+    this.old = this.getSurface(oldAst);
+    this.new = this.getSurface(newAst);
+    this.changes = [];
+  }
+
+  diff() {
+    this.compareNames('module', this.old.moduleName, this.new.moduleName, this.new.calls.get || this.new.calls.getEnforcing);
+    this.compareNames('component', this.old.componentName, this.new.componentName, this.new.calls.codegenNativeComponent);
+    this.compareMembers('', this.old.methods, this.new.methods, 'method', false, (path, oldMember, newMember) => this.compareFunctions(path, oldMember.type, newMember.type));
+    this.compareMembers('', this.old.props, this.new.props, 'prop', true, (path, oldMember, newMember) => this.compareTypes(path, oldMember.type, newMember.type, 'prop'));
+    this.compareMembers('', this.old.commands, this.new.commands, 'command', false, (path, oldMember, newMember) => this.compareFunctions(path, oldMember.type, newMember.type));
+
+    return {
+      breaking: this.changes.some(change => change.classification === 'breaking'),
+      changes: this.changes
+    };
+  }
+
+  getSurface(ast) {
+    const surface = { declarations: new Map(), methods: [], props: [], commands: [], moduleName: null, componentName: null, calls: {} };
+    const calls = [];
+
+    ast.body.forEach(statement => {
+      if (statement.type === 'ExportDefaultDeclaration') {
+        calls.push(statement.declaration);
+        return;
+      }
+
+      const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+      if (declaration?.type === 'VariableDeclaration') {
+        declaration.declarations.forEach(declarator => calls.push(declarator.init));
+      } else if (declaration?.type === 'InterfaceDeclaration' || declaration?.type === 'TypeAlias') {
+        surface.declarations.set(declaration.id.name, declaration);
+      }
+    });
+
+    calls.forEach(call => {
+      const typeName = call.typeArguments?.params[0]?.id?.name;
+      const declaration = surface.declarations.get(typeName);
+      const callee = call.callee.type === 'MemberExpression' ? call.callee.property.name : call.callee.name;
+
+      surface.calls[callee] = call;
+      if (callee === 'get' || callee === 'getEnforcing') {
+        surface.moduleName = call.arguments[0].value;
+        surface.methods = declaration ? this.getMembers(declaration) : [];
+      } else if (callee === 'codegenNativeComponent') {
+        surface.componentName = call.arguments[0].value;
+        surface.props = declaration ? this.getMembers(declaration) : [];
+      } else if (callee === 'codegenNativeCommands') {
+        surface.commands = declaration ? this.getMembers(declaration) : [];
+      }
+    });
+
+    return surface;
+  }
+
+  getMembers(declaration) {
+    const object = this.unwrapReadOnly(declaration.type === 'InterfaceDeclaration' ? declaration.body : declaration.right);
+    return (object.properties || [])
+      .filter(property => property.type === 'ObjectTypeProperty')
+      .map(property => ({ name: property.key.name ?? property.key.value, type: property.value, optional: !!property.optional, node: property }));
+  }
+
+  compareNames(kind, oldName, newName, call) {
+    if (oldName && newName && oldName !== newName) {
+      this.report('renamed', kind, `The ${kind} was renamed from '${oldName}' to '${newName}'`, true, call);
+    }
+  }
+
+  // Matches members by name. A removed member whose type and optionality reappear under exactly one
+  // new name is a rename. `requiredAdditionsBreak` is set where old callers would not pass a new required member.
+  compareMembers(prefix, oldMembers, newMembers, kind, requiredAdditionsBreak, compare) {
+    const oldNames = new Set(oldMembers.map(member => member.name));
+    const added = newMembers.filter(member => !oldNames.has(member.name));
+
+    oldMembers.forEach(oldMember => {
+      const path = `${prefix}${oldMember.name}`;
+      const newMember = newMembers.find(member => member.name === oldMember.name);
+
+      if (!newMember) {
+        const signature = this.describeType(oldMember.type, this.old.declarations);
+        const renames = added.filter(member =>
+          member.optional === oldMember.optional && this.describeType(member.type, this.new.declarations) === signature);
+        if (renames.length === 1) {
+          added.splice(added.indexOf(renames[0]), 1);
+          this.report('renamed', path, `The ${kind} '${path}' was renamed to '${prefix}${renames[0].name}'`, true, renames[0].node);
+        } else {
+          this.report('removed', path, `The ${kind} '${path}' was removed`, true, oldMember.node);
+        }
+        return;
+      }
+
+      this.compareOptional(path, kind, oldMember, newMember);
+      compare(path, oldMember, newMember);
+    });
+
+    added.forEach(member => {
+      const breaking = requiredAdditionsBreak && !member.optional;
+      this.report('added', `${prefix}${member.name}`, `The ${kind} '${prefix}${member.name}' was added${member.optional ? ' as optional' : ''}`, breaking, member.node);
+    });
+  }
+
+  // Members are `getMembers()` entries, or function params, which are nodes themselves.
+  compareOptional(path, kind, oldMember, newMember) {
+    const node = newMember.node || newMember;
+    if (oldMember.optional && !newMember.optional) {
+      this.report('optional-to-required', path, `The ${kind} '${path}' was optional and is now required`, true, node);
+    } else if (!oldMember.optional && newMember.optional) {
+      this.report('required-to-optional', path, `The ${kind} '${path}' was required and is now optional`, kind === 'method' || kind === 'command', node);
+    }
+  }
+
+  compareFunctions(path, oldType, newType) {
+    const oldFunction = this.resolve(oldType, this.old.declarations);
+    const newFunction = this.resolve(newType, this.new.declarations);
+    if (oldFunction.type !== 'FunctionTypeAnnotation' || newFunction.type !== 'FunctionTypeAnnotation') {
+      this.compareTypes(path, oldType, newType, 'return');
+      return;
+    }
+
+    const count = Math.max(oldFunction.params.length, newFunction.params.length);
+    for (let index = 0; index < count; index++) {
+      const oldParam = oldFunction.params[index];
+      const newParam = newFunction.params[index];
+      const paramPath = `${path}(${(newParam || oldParam).name?.name ?? index})`;
+
+      if (!newParam) {
+        this.report('removed', paramPath, `Parameter ${index + 1} of '${path}' was removed`, true, oldParam);
+      } else if (!oldParam) {
+        this.report('added', paramPath, `Parameter ${index + 1} of '${path}' was added${newParam.optional ? ' as optional' : ''}`, !newParam.optional, newParam);
+      } else {
+        this.compareOptional(paramPath, 'parameter', oldParam, newParam);
+        this.compareTypes(paramPath, oldParam.typeAnnotation, newParam.typeAnnotation, 'param');
+      }
+    }
+
+    this.compareTypes(`${path}()`, oldFunction.returnType, newFunction.returnType, 'return');
+  }
+
+  // `position` is where the value flows: `param` from JS to native, `return` back, `prop` into a view.
+  compareTypes(path, oldType, newType, position, seen = new Set()) {
+    const oldResolved = this.resolve(oldType, this.old.declarations);
+    const newResolved = this.resolve(newType, this.new.declarations);
+    const oldDescription = this.describeType(oldResolved, this.old.declarations);
+    const newDescription = this.describeType(newResolved, this.new.declarations);
+    if (oldDescription === newDescription) return;
+
+    // A recursive alias is already being compared further up.
+    const alias = this.getAliasName(oldType, this.old.declarations);
+    if (alias && seen.has(alias)) return;
+    const inner = alias ? new Set(seen).add(alias) : seen;
+
+    const oldNullable = oldResolved.type === 'NullableTypeAnnotation';
+    const newNullable = newResolved.type === 'NullableTypeAnnotation';
+    if (oldNullable !== newNullable) {
+      // Accepting null is safe for what native receives, returning it is not.
+      const breaking = position === 'return' ? newNullable : oldNullable;
+      this.report(newNullable ? 'made-nullable' : 'made-non-nullable', path, `'${path}' ${newNullable ? 'can now be null' : 'can no longer be null'}`, breaking, newType);
+      this.compareTypes(path, oldNullable ? oldResolved.typeAnnotation : oldResolved, newNullable ? newResolved.typeAnnotation : newResolved, position, inner);
+      return;
+    }
+
+    const oldMembers = this.getLiteralMembers(oldResolved);
+    const newMembers = this.getLiteralMembers(newResolved);
+    if (oldMembers && newMembers) {
+      oldMembers.filter(member => !newMembers.includes(member)).forEach(member => {
+        this.report('enum-member-removed', path, `Enum member ${member} was removed from '${path}'`, true, newType);
+      });
+      newMembers.filter(member => !oldMembers.includes(member)).forEach(member => {
+        this.report('enum-member-added', path, `Enum member ${member} was added to '${path}'`, false, newType);
+      });
+      return;
+    }
+
+    if (oldResolved.type === newResolved.type) {
+      switch (oldResolved.type) {
+        case 'NullableTypeAnnotation':
+          this.compareTypes(path, oldResolved.typeAnnotation, newResolved.typeAnnotation, position, inner);
+          return;
+        case 'ArrayTypeAnnotation':
+          this.compareTypes(`${path}[]`, oldResolved.elementType, newResolved.elementType, position, inner);
+          return;
+        case 'FunctionTypeAnnotation':
+          this.compareFunctions(path, oldResolved, newResolved);
+          return;
+        case 'ObjectTypeAnnotation':
+          if (oldResolved.indexers.length === 0 && newResolved.indexers.length === 0) {
+            this.compareMembers(`${path}.`, this.getMembers({ right: oldResolved }), this.getMembers({ right: newResolved }), 'field', position !== 'return',
+              (fieldPath, oldField, newField) => this.compareTypes(fieldPath, oldField.type, newField.type, position, inner));
+            return;
+          }
+          break;
+        case 'GenericTypeAnnotation':
+          if (this.compareGenerics(path, oldResolved, newResolved, position, inner)) return;
+          break;
+      }
+    }
+
+    this.report('type-changed', path, `The type of '${path}' changed from ${oldDescription} to ${newDescription}`, true, newType);
+  }
+
+  compareGenerics(path, oldType, newType, position, seen) {
+    const name = this.getTypeName(oldType.id);
+    const oldParams = oldType.typeParameters?.params;
+    const newParams = newType.typeParameters?.params;
+    if (name !== this.getTypeName(newType.id) || !oldParams || !newParams || oldParams.length !== newParams.length) {
+      return false;
+    }
+
+    if (name === 'WithDefault') {
+      this.compareTypes(path, oldParams[0], newParams[0], position, seen);
+      const oldDefault = this.describeType(oldParams[1], this.old.declarations);
+      const newDefault = this.describeType(newParams[1], this.new.declarations);
+      if (oldDefault !== newDefault) {
+        this.report('default-changed', path, `The default of '${path}' changed from ${oldDefault} to ${newDefault}`, false, newType);
+      }
+      return true;
+    }
+
+    // A command's view ref always points at the component itself.
+    if (name === 'React.ElementRef') {
+      return true;
+    }
+
+    // Event payloads travel from native to JS, like return values.
+    const paramPosition = Object.values(EVENT_HANDLER_TYPES).includes(name) ? 'return' : position;
+    oldParams.forEach((param, index) => this.compareTypes(path, param, newParams[index], paramPosition, seen));
+    return true;
+  }
+
+  getAliasName(type, declarations) {
+    const unwrapped = this.unwrapReadOnly(type);
+    if (unwrapped?.type !== 'GenericTypeAnnotation' || unwrapped.typeParameters) return null;
+    const name = this.getTypeName(unwrapped.id);
+    return declarations.get(name)?.type === 'TypeAlias' ? name : null;
+  }
+
+  // Follows local aliases (and `$ReadOnly<...>`) to the type they stand for. Interfaces stay named.
+  resolve(type, declarations, seen = new Set()) {
+    const unwrapped = this.unwrapReadOnly(type);
+    if (unwrapped.type !== 'GenericTypeAnnotation' || unwrapped.typeParameters) return unwrapped;
+
+    const name = this.getTypeName(unwrapped.id);
+    const declaration = declarations.get(name);
+    if (declaration?.type !== 'TypeAlias' || seen.has(name)) return unwrapped;
+    seen.add(name);
+    return this.resolve(declaration.right, declarations, seen);
+  }
+
+  unwrapReadOnly(type) {
+    if (type?.type === 'GenericTypeAnnotation' && type.id.name === '$ReadOnly' && type.typeParameters?.params.length === 1) {
+      return type.typeParameters.params[0];
+    }
+    return type;
+  }
+
+  getTypeName(id) {
+    return id.type === 'QualifiedTypeIdentifier' ? `${this.getTypeName(id.qualification)}.${id.id.name}` : id.name;
+  }
+
+  getLiteralMembers(type) {
+    const members = type.type === 'UnionTypeAnnotation' ? type.types : [type];
+    if (!members.every(member => member.type === 'StringLiteralTypeAnnotation' || member.type === 'NumberLiteralTypeAnnotation')) {
+      return null;
+    }
+    return members.map(member => JSON.stringify(member.value));
+  }
+
+  // A canonical spelling of a type, with aliases resolved and parameter names left out.
+  describeType(type, declarations, seen = new Set()) {
+    const alias = this.getAliasName(type, declarations);
+    if (alias && seen.has(alias)) return alias;
+    if (alias) seen = new Set(seen).add(alias);
+
+    const resolved = this.resolve(type, declarations);
+    switch (resolved.type) {
+      case 'NullableTypeAnnotation':
+        return `?${this.describeType(resolved.typeAnnotation, declarations, seen)}`;
+      case 'ArrayTypeAnnotation':
+        return `Array<${this.describeType(resolved.elementType, declarations, seen)}>`;
+      case 'UnionTypeAnnotation':
+        return resolved.types.map(member => this.describeType(member, declarations, seen)).sort().join(' | ');
+      case 'FunctionTypeAnnotation': {
+        const params = resolved.params.map(param => `${param.optional ? '?' : ''}${this.describeType(param.typeAnnotation, declarations, seen)}`);
+        return `(${params.join(', ')}) => ${this.describeType(resolved.returnType, declarations, seen)}`;
+      }
+      case 'ObjectTypeAnnotation': {
+        const fields = this.getMembers({ right: resolved })
+          .map(field => `${field.name}${field.optional ? '?' : ''}: ${this.describeType(field.type, declarations, seen)}`)
+          .sort();
+        const indexers = resolved.indexers.map(indexer => `[${this.describeType(indexer.key, declarations, seen)}]: ${this.describeType(indexer.value, declarations, seen)}`);
+        return `{${fields.concat(indexers).join(', ')}}`;
+      }
+      case 'GenericTypeAnnotation': {
+        const params = resolved.typeParameters?.params.map(param => this.describeType(param, declarations, seen));
+        return `${this.getTypeName(resolved.id)}${params ? `<${params.join(', ')}>` : ''}`;
+      }
+      case 'StringLiteralTypeAnnotation':
+      case 'NumberLiteralTypeAnnotation':
+      case 'BooleanLiteralTypeAnnotation':
+        return JSON.stringify(resolved.value);
+      case 'NullLiteralTypeAnnotation':
+        return 'null';
+      default:
+        return resolved.type.replace(/TypeAnnotation$/, '').toLowerCase();
+    }
+  }
+
+  report(kind, path, message, breaking, node) {
+    this.changes.push({
+      kind,
+      path,
+      classification: breaking ? 'breaking' : 'safe',
+      message,
+      loc: node?.loc || null
+    });
+  }
+}
+
+function parse(input, options = {}) {
+  let parser;
+  try {
+    parser = new ReScriptParser(input, options);
+  } catch (error) {
+    if (options.strict) throw error;
+    return {
+      type: 'Program',
+      loc: {
+        source: options.filename,
+        start: { line: 1, column: 0 },
+        end: { line: 1, column: 0 }
+      },
+      body: [],
+      comments: [],
+      interpreter: null,
       range: [0, 0],
       sourceType: 'module',
       docblock: null,
-      errors: [{ message: `Parser creation error: ${error.message}`, line: 1, column: 0, position: 0 }]
+      errors: [{
+        code: DIAGNOSTIC_CODES.INTERNAL_ERROR,
+        severity: 'error',
+        message: `Parser creation error: ${error.message}`,
+        line: 1,
+        column: 0,
+        position: 0
+      }]
+    };
+  }
+
+  return parser.parse();
+}
+
+function buildSchema(input, options = {}) {
+  // A partial schema would generate broken native code, so every error throws.
+  const parser = new ReScriptParser(input, { ...options, strict: true });
+  parser.parse();
+
+  const schema = new ReScriptSchemaBuilder(parser).build();
+  parser.throwIfStrict();
+  return schema;
+}
+
+function validate(ast) {
+  return new ReScriptSpecValidator(ast).validate();
+}
+
+// Both versions must parse cleanly, so `strict` is always on.
+function diffSpecs(oldSource, newSource, options = {}) {
+  const parseVersion = source => parse(source, { ...options, output: 'flow', strict: true });
+  return new ReScriptSpecDiff(parseVersion(oldSource), parseVersion(newSource)).diff();
+}
+
+function printSpec(ast, options = {}) {
+  return new ReScriptSpecPrinter(options).print(ast);
+}
+
+function writeSpec(ast, outputPath, options = {}) {
+  const language = options.language || (/\.tsx?$/.test(outputPath) ? 'typescript' : 'flow');
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, printSpec(ast, { ...options, language }));
+  return outputPath;
+}
+
+// Names of the records used as event payloads, `payload` in `DirectEventHandler<payload>`. Codegen's
+// event helpers read objects in payload arrays bare, while props need them as `$ReadOnly<{...}>`.
+function getEventPayloadNames(nodes) {
+  const names = new Set();
+  const visit = node => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!node || typeof node !== 'object' || node.type === undefined) return;
+    if (node.type === 'GenericTypeAnnotation' && Object.values(EVENT_HANDLER_TYPES).includes(node.id.name)) {
+      const payload = node.typeParameters?.params[0];
+      if (payload?.type === 'GenericTypeAnnotation') names.add(payload.id.name);
+    }
+    Object.keys(node).forEach(key => key !== 'loc' && visit(node[key]));
+  };
+  visit(nodes);
+  return names;
+}
+
+// Prints the Flow-shaped AST from `parse()` back out as a Flow or TypeScript spec file, e.g. to
+// review what a `.res` spec means or to hand it to the stock codegen.
+class ReScriptSpecPrinter {
+  constructor(options = {}) {
+    const language = options.language || 'flow';
+    if (language !== 'flow' && language !== 'typescript') {
+      throw new Error(`Unknown spec language '${language}'; expected 'flow' or 'typescript'`);
+    }
+
+    this.typescript = language === 'typescript';
+    this.imports = new Map();
+    this.importsReact = false;
+    this.component = false;
+  }
+
+  print(ast) {
+    if (ast?.type !== 'Program') {
+      throw new Error('Expected the Program returned by parse()');
+    }
+
+    this.imports = new Map();
+    this.importsReact = false;
+    this.component = ast.body.some(node =>
+      node.type === 'ExportDefaultDeclaration' && node.declaration.callee?.type === 'Identifier'
+    );
+    this.eventPayloads = getEventPayloadNames(ast.body);
+    this.eventPayload = false;
+    const statements = ast.body
+      .filter(node => node.type !== 'ImportDeclaration')
+      .map(node => this.printStatement(node));
+
+    ast.body
+      .filter(node => node.type === 'ImportDeclaration')
+      .forEach(node => node.specifiers.forEach(specifier =>
+        this.addImport(node.source.value, specifier.local.name, node.importKind === 'type')
+      ));
+
+    return [
+      this.printHeader(ast),
+      this.printImports(),
+      ...statements
+    ].filter(Boolean).join('\n\n') + '\n';
+  }
+
+  printHeader(ast) {
+    const source = ast.loc?.source;
+    const lines = ['/**', ` * Generated from ${source ? source.replace(/^.*[\\/]/, '') : 'a ReScript spec'}. Do not edit.`, ' *'];
+    if (!this.typescript) lines.push(' * @flow strict-local');
+    lines.push(' * @format', ' */');
+    return lines.join('\n');
+  }
+
+  addImport(source, name, typeOnly) {
+    if (!this.imports.has(source)) {
+      this.imports.set(source, { types: new Set(), values: new Set() });
+    }
+    this.imports.get(source)[typeOnly ? 'types' : 'values'].add(name);
+  }
+
+  printImports() {
+    const lines = this.importsReact ? ["import * as React from 'react';"] : [];
+
+    this.imports.forEach(({ types, values }, source) => {
+      if (types.size > 0) {
+        lines.push(`import type {${Array.from(types).join(', ')}} from '${source}';`);
+      }
+      if (values.size > 0) {
+        lines.push(`import {${Array.from(values).join(', ')}} from '${source}';`);
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  printComments(node, indent = '') {
+    return (node.leadingComments || [])
+      .map(comment => `${indent}/*${comment.value}*/\n`)
+      .join('');
+  }
+
+  printStatement(node) {
+    const comments = this.printComments(node);
+
+    if (node.type === 'ExportNamedDeclaration') {
+      return `${comments}export ${this.printDeclaration(node.declaration)}`;
+    }
+    if (node.type === 'ExportDefaultDeclaration') {
+      return `${comments}export default ${this.printDefaultExport(node.declaration)};`;
+    }
+    return `${comments}${this.printDeclaration(node)}`;
+  }
+
+  printDeclaration(node) {
+    if (node.type === 'TypeAlias' && this.typescript && node.right.type === 'ObjectTypeAnnotation' &&
+        node.right.properties.some(property => property.type === 'ObjectTypeSpreadProperty')) {
+      return this.printPropsInterface(node);
+    }
+
+    if (node.type === 'TypeAlias') {
+      return `type ${node.id.name} = ${this.printEventPayload(this.eventPayloads.has(node.id.name), () => this.printType(node.right))};`;
+    }
+
+    if (node.type === 'VariableDeclaration') {
+      const [declarator] = node.declarations;
+      return `const ${declarator.id.name} = ${this.printCall(declarator.init)};`;
+    }
+
+    if (node.type === 'InterfaceDeclaration') {
+      const parents = node.extends.map(parent => {
+        this.addImport('react-native', parent.id.name, true);
+        return parent.id.name;
+      });
+      const heritage = parents.length > 0 ? ` extends ${parents.join(', ')}` : '';
+      const members = node.body.properties.map(property => this.printInterfaceMember(property));
+      return `interface ${node.id.name}${heritage} {\n${members.join('\n')}\n}`;
+    }
+
+    throw new Error(`Cannot print ${node.type} declarations`);
+  }
+
+  printInterfaceMember(property) {
+    const comments = this.printComments(property, '  ');
+    const key = this.printKey(property.key);
+    const optional = property.optional ? '?' : '';
+
+    if (this.typescript && property.method) {
+      const { params, returnType } = property.value;
+      return `${comments}  ${key}${optional}(${this.printParams(params, '  ')}): ${this.printType(returnType, '  ')};`;
+    }
+
+    const variance = this.typescript ? 'readonly ' : '+';
+    return `${comments}  ${variance}${key}${optional}: ${this.printType(property.value, '  ')};`;
+  }
+
+  printDefaultExport(call) {
+    const expression = this.printCall(call);
+    if (call.callee.type === 'MemberExpression') {
+      return expression;
+    }
+
+    // Components are exported as host components, which is what the stock codegen looks for.
+    const typeArguments = call.typeArguments.params.map(param => this.printType(param)).join(', ');
+    this.addImport('react-native', 'HostComponent', true);
+    return this.typescript
+      ? `${expression} as HostComponent<${typeArguments}>`
+      : `(${expression}: HostComponent<${typeArguments}>)`;
+  }
+
+  printCall(call) {
+    const typeArguments = (call.typeArguments?.params || []).map(param => this.printType(param)).join(', ');
+    const args = call.arguments.map(argument => this.printExpression(argument)).join(', ');
+    const callee = call.callee.type === 'MemberExpression' ? call.callee.object.name : call.callee.name;
+
+    this.addImport('react-native', callee, false);
+    return `${this.printExpression(call.callee)}<${typeArguments}>(${args})`;
+  }
+
+  printExpression(node, indent = '') {
+    switch (node.type) {
+      case 'Identifier':
+        return node.name;
+      case 'MemberExpression':
+        return `${node.object.name}.${node.property.name}`;
+      case 'Literal':
+        return typeof node.value === 'string' ? `'${node.value.replace(/'/g, "\\'")}'` : String(node.value);
+      case 'ArrayExpression':
+        return `[${node.elements.map(element => this.printExpression(element, indent)).join(', ')}]`;
+      case 'ObjectExpression': {
+        const inner = `${indent}  `;
+        const members = node.properties.map(property =>
+          `${inner}${this.printKey(property.key)}: ${this.printExpression(property.value, inner)},`
+        );
+        return members.length > 0 ? `{\n${members.join('\n')}\n${indent}}` : '{}';
+      }
+      default:
+        throw new Error(`Cannot print ${node.type}`);
+    }
+  }
+
+  printKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key.name) ? key.name : `'${key.name.replace(/'/g, "\\'")}'`;
+  }
+
+  printParams(params, indent = '') {
+    return params
+      .map(param => `${param.name.name}${param.optional ? '?' : ''}: ${this.printType(param.typeAnnotation, indent)}`)
+      .join(', ');
+  }
+
+  printObjectMembers(properties, indent) {
+    const separator = this.typescript ? ';' : ',';
+
+    return properties.map(property => {
+      const comments = this.printComments(property, indent);
+      const optional = property.optional ? '?' : '';
+      return `${comments}${indent}${this.printKey(property.key)}${optional}: ${this.printType(property.value, indent)}${separator}`;
+    });
+  }
+
+  // `bare` leaves out the read-only wrapper, which codegen rejects on objects in event payload arrays.
+  printObject(node, indent, { bare = false } = {}) {
+    const inner = `${indent}  `;
+    const spreads = node.properties.filter(property => property.type === 'ObjectTypeSpreadProperty');
+    const members = this.printObjectMembers(node.properties.filter(property => property.type !== 'ObjectTypeSpreadProperty'), inner);
+
+    if (this.typescript) {
+      // Records with spreads are printed as interfaces instead.
+      const object = `{${members.length > 0 ? `\n${members.join('\n')}\n${indent}` : ''}}`;
+      return bare ? object : `Readonly<${object}>`;
+    }
+
+    spreads.forEach(spread => {
+      if (spread.argument.type !== 'GenericTypeAnnotation') this.addImport('react-native', spread.argument.id.name, true);
+      members.unshift(`${this.printComments(spread, inner)}${inner}...${spread.argument.id.name},`);
+    });
+
+    // Component props must be read-only; module types stay exact so codegen keeps them as aliases.
+    const body = `{|${members.length > 0 ? `\n${members.join('\n')}\n${indent}` : ''}|}`;
+    return this.component && !bare ? `$ReadOnly<${body}>` : body;
+  }
+
+  printEventPayload(eventPayload, print) {
+    const previous = this.eventPayload;
+    this.eventPayload = previous || eventPayload;
+    try {
+      return print();
+    } finally {
+      this.eventPayload = previous;
+    }
+  }
+
+  // TypeScript has no spread in object types, so records with spreads become interfaces.
+  printPropsInterface(node) {
+    const parents = node.right.properties
+      .filter(property => property.type === 'ObjectTypeSpreadProperty')
+      .map(spread => {
+        if (spread.argument.type !== 'GenericTypeAnnotation') this.addImport('react-native', spread.argument.id.name, true);
+        return spread.argument.id.name;
+      });
+    const members = this.printObjectMembers(node.right.properties.filter(property => property.type !== 'ObjectTypeSpreadProperty'), '  ');
+    return `interface ${node.id.name} extends ${parents.join(', ')} {${members.length > 0 ? `\n${members.join('\n')}\n` : ''}}`;
+  }
+
+  printType(node, indent = '') {
+    switch (node.type) {
+      case 'StringTypeAnnotation':
+        return 'string';
+      case 'NumberTypeAnnotation':
+        return 'number';
+      case 'BooleanTypeAnnotation':
+        return 'boolean';
+      case 'VoidTypeAnnotation':
+        return 'void';
+      case 'MixedTypeAnnotation':
+        return this.typescript ? 'unknown' : 'mixed';
+      case 'AnyTypeAnnotation':
+        return 'any';
+      case 'NullLiteralTypeAnnotation':
+        return 'null';
+      case 'BooleanLiteralTypeAnnotation':
+        return String(node.value);
+      case 'StringLiteralTypeAnnotation':
+        return `'${node.value.replace(/'/g, "\\'")}'`;
+      case 'NumberLiteralTypeAnnotation':
+        return String(node.value);
+      case 'NullableTypeAnnotation':
+        return this.typescript
+          ? `${this.printType(node.typeAnnotation, indent)} | null`
+          : `?${this.printType(node.typeAnnotation, indent)}`;
+      case 'ArrayTypeAnnotation': {
+        const bareObject = this.eventPayload && node.elementType.type === 'ObjectTypeAnnotation' && !node.elementType.indexers?.length;
+        const elementType = bareObject
+          ? this.printObject(node.elementType, indent, { bare: true })
+          : this.printType(node.elementType, indent);
+        if (!this.component) {
+          return `Array<${elementType}>`;
+        }
+        // Codegen's TypeScript parser only reads `T[]` in command arguments and event payloads.
+        if (this.typescript) {
+          return elementType.includes(' | ') ? `(${elementType})[]` : `${elementType}[]`;
+        }
+        return `$ReadOnlyArray<${elementType}>`;
+      }
+      case 'UnionTypeAnnotation':
+        return node.types.map(type => this.printType(type, indent)).join(' | ');
+      case 'FunctionTypeAnnotation':
+        return `(${this.printParams(node.params, indent)}) => ${this.printType(node.returnType, indent)}`;
+      case 'ObjectTypeAnnotation':
+        if (node.indexers?.length > 0) {
+          return `{[key: string]: ${this.printType(node.indexers[0].value, indent)}}`;
+        }
+        return this.printObject(node, indent);
+      case 'GenericTypeAnnotation': {
+        const name = this.printTypeName(node.id);
+        if (CODEGEN_TYPE_NAMES.includes(name)) {
+          this.addImport('react-native/Libraries/Types/CodegenTypes', name, true);
+        } else if (name === 'HostComponent') {
+          this.addImport('react-native', name, true);
+        } else if (name.startsWith('React.')) {
+          this.importsReact = true;
+        }
+        const params = node.typeParameters?.params || [];
+        return params.length > 0
+          ? `${name}<${this.printEventPayload(Object.values(EVENT_HANDLER_TYPES).includes(name), () => params.map(param => this.printType(param, indent)).join(', '))}>`
+          : name;
+      }
+      default:
+        throw new Error(`Cannot print ${node.type}`);
+    }
+  }
+
+  printTypeName(id) {
+    return id.type === 'QualifiedTypeIdentifier'
+      ? `${this.printTypeName(id.qualification)}.${id.id.name}`
+      : id.name;
+  }
+}
+
+// Prints a Jest mock for the TurboModule in a Flow AST from `parse()`. Every method is a `jest.fn`
+// returning a default of its return type. The mock only assigns itself to `NativeModules` under the
+// module's name; `TurboModuleRegistry` returns it through its fallback to `NativeModules`, which it
+// takes when there is no TurboModule proxy and the runtime is not bridgeless, as under React Native's
+// Jest preset.
+class ReScriptJestMockPrinter {
+  constructor() {
+    this.declarations = new Map();
+  }
+
+  print(ast) {
+    if (ast?.type !== 'Program') {
+      throw new Error('Expected the Program returned by parse()');
+    }
+
+    this.declarations = new Map();
+    let lookup = null;
+    ast.body.forEach(node => {
+      const callee = node.type === 'ExportDefaultDeclaration' ? node.declaration.callee : null;
+      if (callee?.type === 'MemberExpression' && callee.object.name === 'TurboModuleRegistry') {
+        lookup = node.declaration;
+      } else if (node.type === 'ExportNamedDeclaration' && node.declaration.id) {
+        this.declarations.set(node.declaration.id.name, node.declaration);
+      }
+    });
+
+    const spec = lookup && this.declarations.get(lookup.typeArguments?.params[0]?.id?.name);
+    if (spec?.type !== 'InterfaceDeclaration') {
+      throw new Error('Expected the Flow AST of a TurboModule spec, with its TurboModuleRegistry lookup');
+    }
+
+    const moduleName = lookup.arguments[0].value;
+    const mockName = `${moduleName.replace(/[^\w$]/g, '_').replace(/^(?=\d)/, '_')}Mock`;
+    const methods = spec.body.properties
+      .filter(property => property.type === 'ObjectTypeProperty')
+      .map(property => `  ${this.printKey(property.key)}: ${this.printMethod(property.value)},`);
+
+    return [
+      this.printHeader(ast, moduleName),
+      "'use strict';",
+      "const {NativeModules} = require('react-native');",
+      `const ${mockName} = {${methods.length > 0 ? `\n${methods.join('\n')}\n` : ''}};`,
+      `NativeModules${/^[A-Za-z_$][\w$]*$/.test(moduleName) ? `.${moduleName}` : `[${this.printString(moduleName)}]`} = ${mockName};\n\nmodule.exports = ${mockName};`
+    ].join('\n\n') + '\n';
+  }
+
+  printHeader(ast, moduleName) {
+    const source = ast.loc?.source;
+    return [
+      '/**',
+      ` * Jest mock generated from ${source ? source.replace(/^.*[\\/]/, '') : 'a ReScript spec'}. Do not edit.`,
+      ' *',
+      ` * Assigns the mock to NativeModules[${this.printString(moduleName)}]. TurboModuleRegistry.get and getEnforcing`,
+      ' * only return it through their fallback to NativeModules, which React Native\'s Jest preset uses',
+      ' * because it installs no TurboModule proxy and is not bridgeless. Tests that set',
+      ' * global.__turboModuleProxy or global.RN$Bridgeless will not find this mock.',
+      ' *',
+      ' * @format',
+      ' */'
+    ].join('\n');
+  }
+
+  // Callbacks passed to a method are never called.
+  printMethod(type) {
+    const returnType = type.type === 'FunctionTypeAnnotation' ? type.returnType : type;
+    if (returnType.type === 'VoidTypeAnnotation') {
+      return 'jest.fn()';
+    }
+
+    const value = this.printDefault(returnType, '  ', new Set());
+    return `jest.fn(() => ${value.startsWith('{') ? `(${value})` : value})`;
+  }
+
+  // `seen` holds the aliases being expanded, so that a recursive type ends in `null`.
+  printDefault(type, indent, seen) {
+    switch (type.type) {
+      case 'VoidTypeAnnotation':
+        return 'undefined';
+      case 'StringTypeAnnotation':
+        return "''";
+      case 'NumberTypeAnnotation':
+        return '0';
+      case 'BooleanTypeAnnotation':
+        return 'false';
+      case 'StringLiteralTypeAnnotation':
+        return this.printString(type.value);
+      case 'NumberLiteralTypeAnnotation':
+      case 'BooleanLiteralTypeAnnotation':
+        return String(type.value);
+      case 'UnionTypeAnnotation':
+        return this.printDefault(type.types[0], indent, seen);
+      case 'ArrayTypeAnnotation':
+        return '[]';
+      case 'FunctionTypeAnnotation':
+        return '() => {}';
+      case 'ObjectTypeAnnotation':
+        return this.printObjectDefault(type, indent, seen);
+      case 'GenericTypeAnnotation':
+        return this.printGenericDefault(type, indent, seen);
+      default:
+        // Nullable, mixed and null values.
+        return 'null';
+    }
+  }
+
+  // Dictionaries are empty; records get a default for each required field.
+  printObjectDefault(type, indent, seen) {
+    const fields = type.indexers?.length > 0 ? [] : type.properties
+      .filter(property => property.type === 'ObjectTypeProperty' && !property.optional)
+      .map(property => `${indent}  ${this.printKey(property.key)}: ${this.printDefault(property.value, `${indent}  `, seen)},`);
+
+    return fields.length > 0 ? `{\n${fields.join('\n')}\n${indent}}` : '{}';
+  }
+
+  printGenericDefault(type, indent, seen) {
+    const name = type.id.name;
+    const param = type.typeParameters?.params[0];
+
+    switch (name) {
+      case 'Promise':
+        return param && param.type !== 'VoidTypeAnnotation' ? `Promise.resolve(${this.printDefault(param, indent, seen)})` : 'Promise.resolve()';
+      case '$ReadOnly':
+        return this.printDefault(param, indent, seen);
+      case '$ReadOnlyArray':
+      case 'Array':
+        return '[]';
+      case 'Object':
+      case 'UnsafeObject':
+        return '{}';
+      case 'Int32':
+      case 'Float':
+      case 'Double':
+      case 'RootTag':
+        return '0';
+    }
+
+    const declaration = this.declarations.get(name);
+    if (declaration?.type !== 'TypeAlias' || seen.has(name)) {
+      return 'null';
+    }
+    return this.printDefault(declaration.right, indent, new Set(seen).add(name));
+  }
+
+  printKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key.name) ? key.name : this.printString(key.name);
+  }
+
+  printString(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+}
+
+function printJestMock(ast) {
+  return new ReScriptJestMockPrinter().print(ast);
+}
+
+function writeJestMock(ast, outputPath) {
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, printJestMock(ast));
+  return outputPath;
+}
+
+// Codegen's Flow helpers work on any Flow-shaped AST, so they are only loaded when codegen
+// itself calls into this parser.
+function requireCodegen(modulePath) {
+  return require(`@react-native/codegen/lib/parsers/${modulePath}`);
+}
+
+// Implements the `Parser` contract from @react-native/codegen so its schema builders can read
+// `.res` specs. The AST is the Flow-shaped one `parse()` produces, so accessors mirror FlowParser.
+class ReScriptCodegenParser {
+  constructor() {
+    this.typeParameterInstantiation = 'TypeParameterInstantiation';
+    this.typeAlias = 'TypeAlias';
+    this.enumDeclaration = 'EnumDeclaration';
+    this.interfaceDeclaration = 'InterfaceDeclaration';
+    this.nullLiteralTypeAnnotation = 'NullLiteralTypeAnnotation';
+    this.undefinedLiteralTypeAnnotation = 'VoidLiteralTypeAnnotation';
+  }
+
+  isProperty(property) {
+    return property.type === 'ObjectTypeProperty';
+  }
+
+  getKeyName(property, hasteModuleName) {
+    if (!this.isProperty(property)) {
+      throw new Error(`Module ${hasteModuleName}: '${property.type}' cannot be used as an object property`);
+    }
+    return property.key.name;
+  }
+
+  // Codegen branches on the AST dialect, and the AST is Flow-shaped.
+  language() {
+    return 'Flow';
+  }
+
+  getTypeAnnotationName(typeAnnotation) {
+    return typeAnnotation?.id?.name;
+  }
+
+  checkIfInvalidModule(typeArguments) {
+    // The spec type is found by its role, so unlike Flow it does not have to be called `Spec`.
+    return (
+      typeArguments.type !== 'TypeParameterInstantiation' ||
+      typeArguments.params.length !== 1 ||
+      typeArguments.params[0].type !== 'GenericTypeAnnotation'
+    );
+  }
+
+  remapUnionTypeAnnotationMemberNames(membersTypes) {
+    const remapLiteral = item => item.type
+      .replace('NumberLiteralTypeAnnotation', 'NumberTypeAnnotation')
+      .replace('StringLiteralTypeAnnotation', 'StringTypeAnnotation');
+
+    return [...new Set(membersTypes.map(remapLiteral))];
+  }
+
+  parseFile(filename) {
+    const contents = fs.readFileSync(filename, 'utf8');
+    return this.parseString(contents, filename);
+  }
+
+  parseString(contents, filename) {
+    return buildSchema(contents, { filename: filename || undefined });
+  }
+
+  parseModuleFixture(filename) {
+    const contents = fs.readFileSync(filename, 'utf8');
+    return this.parseString(contents, 'path/NativeSampleTurboModule.res');
+  }
+
+  getAst(contents, filename) {
+    return parse(contents, { filename: filename || undefined, strict: true });
+  }
+
+  getFunctionTypeAnnotationParameters(functionTypeAnnotation) {
+    return functionTypeAnnotation.params;
+  }
+
+  getFunctionNameFromParameter(parameter) {
+    return parameter.name;
+  }
+
+  getParameterName(parameter) {
+    return parameter.name.name;
+  }
+
+  getParameterTypeAnnotation(parameter) {
+    return parameter.typeAnnotation;
+  }
+
+  getFunctionTypeAnnotationReturnType(functionTypeAnnotation) {
+    return functionTypeAnnotation.returnType;
+  }
+
+  // Variants become literal unions, so a ReScript AST never contains enum declarations.
+  parseEnumMembersType(typeAnnotation) {
+    throw new Error(`ReScript specs have no enum declarations, got ${typeAnnotation.type}`);
+  }
+
+  validateEnumMembersSupported(typeAnnotation) {
+    throw new Error(`ReScript specs have no enum declarations, got ${typeAnnotation.type}`);
+  }
+
+  parseEnumMembers(typeAnnotation) {
+    throw new Error(`ReScript specs have no enum declarations, got ${typeAnnotation.type}`);
+  }
+
+  isModuleInterface(node) {
+    return (
+      node.type === 'InterfaceDeclaration' &&
+      node.extends.length === 1 &&
+      node.extends[0].type === 'InterfaceExtends' &&
+      node.extends[0].id.name === 'TurboModule'
+    );
+  }
+
+  isGenericTypeAnnotation(type) {
+    return type === 'GenericTypeAnnotation';
+  }
+
+  extractAnnotatedElement(typeAnnotation, types) {
+    return types[typeAnnotation.typeParameters.params[0].id.name];
+  }
+
+  getTypes(ast) {
+    const types = ast.body.reduce((declarations, node) => {
+      const declaration = node.type === 'ExportNamedDeclaration' ? node.declaration : node;
+      if (declaration && (declaration.type === 'TypeAlias' || declaration.type === 'InterfaceDeclaration')) {
+        declarations[declaration.id.name] = declaration;
+      }
+      return declarations;
+    }, {});
+
+    // Codegen's event helpers look up payload records by name and expect `$ReadOnly<{...}>`.
+    const component = ast.body.some(node =>
+      node.type === 'ExportDefaultDeclaration' && node.declaration.callee?.type === 'Identifier'
+    );
+    return component ? this.toReadOnlyTypes(types) : types;
+  }
+
+  callExpressionTypeParameters(callExpression) {
+    return callExpression.typeArguments || null;
+  }
+
+  computePartialProperties(properties, hasteModuleName, types, aliasMap, enumMap, tryParse, cxxOnly) {
+    const { flowTranslateTypeAnnotation } = requireCodegen('flow/modules');
+
+    return properties.map(prop => ({
+      name: prop.key.name,
+      optional: true,
+      typeAnnotation: flowTranslateTypeAnnotation(hasteModuleName, prop.value, types, aliasMap, enumMap, tryParse, cxxOnly, this)
+    }));
+  }
+
+  functionTypeAnnotation(propertyValueType) {
+    return propertyValueType === 'FunctionTypeAnnotation';
+  }
+
+  getTypeArgumentParamsFromDeclaration(declaration) {
+    return declaration.typeArguments.params;
+  }
+
+  getNativeComponentType(typeArgumentParams, funcArgumentParams) {
+    return {
+      propsTypeName: typeArgumentParams[0].id.name,
+      componentName: funcArgumentParams[0].value
+    };
+  }
+
+  getAnnotatedElementProperties(annotatedElement) {
+    return annotatedElement.right.properties;
+  }
+
+  bodyProperties(typeAlias) {
+    return typeAlias.body.properties;
+  }
+
+  convertKeywordToTypeAnnotation(keyword) {
+    return keyword;
+  }
+
+  argumentForProp(prop) {
+    return prop.argument;
+  }
+
+  nameForArgument(prop) {
+    return prop.argument.id.name;
+  }
+
+  isOptionalProperty(property) {
+    return property.value.type === 'NullableTypeAnnotation' || property.optional;
+  }
+
+  getGetSchemaInfoFN() {
+    return requireCodegen('flow/components/componentsUtils').getSchemaInfo;
+  }
+
+  getTypeAnnotationFromProperty(property) {
+    return property.value.type === 'NullableTypeAnnotation' ? property.value.typeAnnotation : property.value;
+  }
+
+  getGetTypeAnnotationFN() {
+    const { getTypeAnnotation } = requireCodegen('flow/components/componentsUtils');
+
+    // The component helpers only accept objects and arrays spelled `$ReadOnly<{...}>` and `$ReadOnlyArray<T>`.
+    return (name, annotation, defaultValue, withNullDefault, types, parser, buildSchema) => getTypeAnnotation(
+      name,
+      this.toReadOnlyType(annotation),
+      defaultValue,
+      withNullDefault,
+      this.toReadOnlyTypes(types),
+      parser,
+      buildSchema
+    );
+  }
+
+  // `event` leaves objects in arrays bare inside event payloads; see `getEventPayloadNames`.
+  toReadOnlyType(typeAnnotation, event = false) {
+    const wrap = (name, param) => ({
+      type: 'GenericTypeAnnotation',
+      id: { type: 'Identifier', name, loc: typeAnnotation.loc, range: typeAnnotation.range },
+      typeParameters: { type: 'TypeParameterInstantiation', params: [param], loc: typeAnnotation.loc, range: typeAnnotation.range },
+      loc: typeAnnotation.loc,
+      range: typeAnnotation.range
+    });
+
+    switch (typeAnnotation?.type) {
+      case 'ArrayTypeAnnotation': {
+        const { elementType } = typeAnnotation;
+        return wrap('$ReadOnlyArray', event && elementType.type === 'ObjectTypeAnnotation' && !elementType.indexers?.length
+          ? this.toReadOnlyObject(elementType, event)
+          : this.toReadOnlyType(elementType, event));
+      }
+      case 'ObjectTypeAnnotation':
+        return typeAnnotation.indexers?.length ? typeAnnotation : wrap('$ReadOnly', this.toReadOnlyObject(typeAnnotation, event));
+      case 'NullableTypeAnnotation':
+        return Object.assign({}, typeAnnotation, { typeAnnotation: this.toReadOnlyType(typeAnnotation.typeAnnotation, event) });
+      case 'GenericTypeAnnotation': {
+        // Inline event payloads and `WithDefault` arguments; `$ReadOnly` ones are already converted.
+        const params = typeAnnotation.typeParameters?.params;
+        if (!params || ['$ReadOnly', '$ReadOnlyArray'].includes(typeAnnotation.id.name)) return typeAnnotation;
+        const payload = event || Object.values(EVENT_HANDLER_TYPES).includes(typeAnnotation.id.name);
+        return Object.assign({}, typeAnnotation, {
+          typeParameters: Object.assign({}, typeAnnotation.typeParameters, { params: params.map(param => this.toReadOnlyType(param, payload)) })
+        });
+      }
+      default:
+        return typeAnnotation;
+    }
+  }
+
+  toReadOnlyObject(object, event = false) {
+    return Object.assign({}, object, {
+      properties: object.properties.map(property => property.type === 'ObjectTypeProperty'
+        ? Object.assign({}, property, { value: this.toReadOnlyType(property.value, event) })
+        : property)
+    });
+  }
+
+  toReadOnlyTypes(types) {
+    const payloads = getEventPayloadNames(Object.values(types));
+    return Object.keys(types).reduce((readOnlyTypes, name) => {
+      const declaration = types[name];
+      readOnlyTypes[name] = declaration.type === this.typeAlias
+        ? Object.assign({}, declaration, { right: this.toReadOnlyType(declaration.right, payloads.has(name)) })
+        : declaration;
+      return readOnlyTypes;
+    }, {});
+  }
+
+  getResolvedTypeAnnotation(typeAnnotation, types) {
+    if (typeAnnotation == null) {
+      throw new Error('resolveTypeAnnotation(): typeAnnotation cannot be null');
+    }
+
+    let node = typeAnnotation;
+    let nullable = false;
+    let typeResolutionStatus = { successful: false };
+
+    for (;;) {
+      if (node.type === 'NullableTypeAnnotation') {
+        nullable = true;
+        node = node.typeAnnotation;
+        continue;
+      }
+
+      if (node.type !== 'GenericTypeAnnotation') break;
+
+      const typeAnnotationName = this.getTypeAnnotationName(node);
+      const resolvedTypeAnnotation = types[typeAnnotationName];
+      if (resolvedTypeAnnotation == null) break;
+
+      if (resolvedTypeAnnotation.type !== this.typeAlias) {
+        throw new TypeError(this.genericTypeAnnotationErrorMessage(resolvedTypeAnnotation));
+      }
+
+      typeResolutionStatus = { successful: true, type: 'alias', name: typeAnnotationName };
+      node = this.nextNodeForTypeAlias(resolvedTypeAnnotation);
+    }
+
+    return { nullable, typeAnnotation: node, typeResolutionStatus };
+  }
+
+  getResolveTypeAnnotationFN() {
+    return (typeAnnotation, types) => this.getResolvedTypeAnnotation(typeAnnotation, types);
+  }
+
+  extendsForProp(prop, types) {
+    const name = this.nameForArgument(prop);
+
+    // Locally defined types are flattened into the props instead.
+    if (types[name] != null) return null;
+
+    if (name === 'ViewProps') {
+      return { type: 'ReactNativeBuiltInType', knownTypeName: 'ReactNativeCoreViewProps' };
+    }
+    throw new Error(`Unable to handle prop spread: ${name}`);
+  }
+
+  removeKnownExtends(typeDefinition, types) {
+    return typeDefinition.filter(prop =>
+      prop.type !== 'ObjectTypeSpreadProperty' || this.extendsForProp(prop, types) === null
+    );
+  }
+
+  getExtendsProps(typeDefinition, types) {
+    return typeDefinition
+      .filter(prop => prop.type === 'ObjectTypeSpreadProperty')
+      .map(prop => this.extendsForProp(prop, types))
+      .filter(Boolean);
+  }
+
+  getProps(typeDefinition, types) {
+    const { flattenProperties } = requireCodegen('flow/components/componentsUtils');
+    const { buildPropSchema } = requireCodegen('parsers-commons');
+    const nonExtendsProps = this.removeKnownExtends(typeDefinition, types);
+    const props = flattenProperties(nonExtendsProps, types, this)
+      .map(property => buildPropSchema(property, types, this))
+      .filter(Boolean);
+
+    return {
+      props,
+      extendsProps: this.getExtendsProps(typeDefinition, types)
     };
   }
+
+  getProperties(typeName, types) {
+    const right = types[typeName]?.right;
+    const object = right?.id?.name === '$ReadOnly' ? right.typeParameters.params[0] : right;
+    if (!object?.properties) {
+      throw new Error(`Failed to find type definition for "${typeName}", please check that you have a valid codegen ReScript file`);
+    }
+    return this.toReadOnlyObject(object).properties;
+  }
+
+  nextNodeForTypeAlias(typeAnnotation) {
+    return typeAnnotation.right;
+  }
+
+  nextNodeForEnum(typeAnnotation) {
+    return typeAnnotation.body;
+  }
+
+  genericTypeAnnotationErrorMessage(typeAnnotation) {
+    return `A non GenericTypeAnnotation must be a type declaration ('${this.typeAlias}'). Instead, got the unsupported ${typeAnnotation.type}.`;
+  }
+
+  extractTypeFromTypeAnnotation(typeAnnotation) {
+    return typeAnnotation.type === 'GenericTypeAnnotation' ? typeAnnotation.id.name : typeAnnotation.type;
+  }
+
+  getObjectProperties(typeAnnotation) {
+    return typeAnnotation.properties;
+  }
+
+  getLiteralValue(option) {
+    return option.value;
+  }
+
+  getPaperTopLevelNameDeprecated(typeAnnotation) {
+    return typeAnnotation.typeParameters.params.length > 1
+      ? typeAnnotation.typeParameters.params[1].value
+      : null;
+  }
 }
 
 module.exports = {
   parse,
-  ReScriptParser
+  validate,
+  diffSpecs,
+  buildSchema,
+  printSpec,
+  writeSpec,
+  printJestMock,
+  writeJestMock,
+  ReScriptParser,
+  ReScriptCodegenParser,
+  ReScriptParseError,
+  DIAGNOSTIC_CODES
 };
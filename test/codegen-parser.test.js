@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const commons = require('@react-native/codegen/lib/parsers/parsers-commons');
+const { Visitor } = require('@react-native/codegen/lib/parsers/parsers-primitives');
+const { wrapComponentSchema } = require('@react-native/codegen/lib/parsers/schema');
+const { buildComponentSchema } = require('@react-native/codegen/lib/parsers/flow/components');
+const { flowTranslateTypeAnnotation } = require('@react-native/codegen/lib/parsers/flow/modules');
+const { ReScriptCodegenParser, ReScriptParseError, buildSchema } = require('..');
+
+const fixturesDirectory = path.join(__dirname, 'fixtures');
+
+test('parses files and fixtures into the schema buildSchema returns', () => {
+  const file = path.join(fixturesDirectory, 'modules', 'NATIVE_MODULE_WITH_PROMISE.res');
+  const source = fs.readFileSync(file, 'utf8');
+  const parser = new ReScriptCodegenParser();
+
+  assert.deepStrictEqual(parser.parseFile(file), buildSchema(source, { filename: file }));
+  assert.deepStrictEqual(Object.keys(parser.parseModuleFixture(file).modules), ['NativeSampleTurboModule']);
+});
+
+test('drives codegen\'s own schema builders to the same schema', () => {
+  ['modules', 'components'].forEach(kind => {
+    fs.readdirSync(path.join(fixturesDirectory, kind)).forEach(name => {
+      const source = fs.readFileSync(path.join(fixturesDirectory, kind, name), 'utf8');
+      const schema = commons.buildSchema(
+        source,
+        name,
+        wrapComponentSchema,
+        buildComponentSchema,
+        commons.buildModuleSchema,
+        Visitor,
+        new ReScriptCodegenParser(),
+        flowTranslateTypeAnnotation
+      );
+
+      assert.deepStrictEqual(schema, buildSchema(source, { filename: name }), name);
+    });
+  });
+});
+
+test('throws from getAst when the spec has errors', () => {
+  const parser = new ReScriptCodegenParser();
+
+  assert.throws(() => parser.getAst('type spec = {...turboModule, f: unknown => unit}\n', 'NativeSample.res'), ReScriptParseError);
+});
+
+test('reads the Flow-shaped AST like FlowParser', () => {
+  const parser = new ReScriptCodegenParser();
+  const ast = parser.getAst('type spec = {...turboModule, add: (float, float) => float}\nlet m: spec = getEnforcing("Sample")\n', 'NativeSample.res');
+  const types = parser.getTypes(ast);
+
+  assert.strictEqual(parser.language(), 'Flow');
+  assert.ok(parser.isModuleInterface(types.Spec));
+
+  const [property] = parser.bodyProperties(types.Spec);
+  assert.strictEqual(parser.getKeyName(property, 'NativeSample'), 'add');
+  assert.deepStrictEqual(parser.getFunctionTypeAnnotationParameters(property.value).map(parameter => parser.getParameterName(parameter)), ['param0', 'param1']);
+  assert.strictEqual(parser.getFunctionTypeAnnotationReturnType(property.value).type, 'NumberTypeAnnotation');
+  assert.deepStrictEqual(
+    parser.remapUnionTypeAnnotationMemberNames([{ type: 'StringLiteralTypeAnnotation' }, { type: 'StringLiteralTypeAnnotation' }]),
+    ['StringTypeAnnotation']
+  );
+});
+
+test('rejects enum declarations, which ReScript specs never produce', () => {
+  assert.throws(() => new ReScriptCodegenParser().parseEnumMembers({ type: 'EnumStringBody' }), /no enum declarations/);
+});
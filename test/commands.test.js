@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse, printSpec, buildSchema, DIAGNOSTIC_CODES } = require('..');
+
+const props = 'type props = {...View.viewProps, color?: string}\n';
+const make = 'let make = codegenNativeComponent("Box")\n';
+
+function commands(record, supported) {
+  return `${props}type nativeCommands = ${record}\nlet commands: nativeCommands = codegenNativeCommands({supportedCommands: ${supported}})\n${make}`;
+}
+
+function errors(source) {
+  return parse(source, { filename: 'BoxNativeComponent.res' }).errors.map(error => [error.code, error.message]);
+}
+
+const source = commands('{scrollTo: (ref, ~x: float, ~animated: bool) => unit, focus: ref => unit}', '["scrollTo", "focus"]');
+
+test('prints the commands interface and the Commands export', () => {
+  const printed = printSpec(parse(source, { filename: 'BoxNativeComponent.res' }));
+
+  assert.match(printed, /export interface NativeCommands \{\n {2}\+scrollTo: \(viewRef: React\.ElementRef<HostComponent<props>>, x: Double, animated: boolean\) => void;\n {2}\+focus: \(viewRef: React\.ElementRef<HostComponent<props>>\) => void;\n\}/);
+  assert.match(printed, /export const Commands = codegenNativeCommands<NativeCommands>\(\{\n {2}supportedCommands: \['scrollTo', 'focus'\],\n\}\);/);
+});
+
+test('builds the commands into the component schema', () => {
+  const schema = buildSchema(source, { filename: 'BoxNativeComponent.res' });
+
+  assert.deepStrictEqual(schema.modules.Box.components.Box.commands, [
+    {
+      name: 'scrollTo',
+      optional: false,
+      typeAnnotation: {
+        type: 'FunctionTypeAnnotation',
+        params: [
+          { name: 'x', optional: false, typeAnnotation: { type: 'DoubleTypeAnnotation' } },
+          { name: 'animated', optional: false, typeAnnotation: { type: 'BooleanTypeAnnotation' } }
+        ],
+        returnTypeAnnotation: { type: 'VoidTypeAnnotation' }
+      }
+    },
+    {
+      name: 'focus',
+      optional: false,
+      typeAnnotation: { type: 'FunctionTypeAnnotation', params: [], returnTypeAnnotation: { type: 'VoidTypeAnnotation' } }
+    }
+  ]);
+});
+
+test('checks supportedCommands against the record', () => {
+  assert.deepStrictEqual(errors(commands('{scrollTo: (ref, ~x: float) => unit, focus: ref => unit}', '["scrollTo", "blur"]')), [
+    [DIAGNOSTIC_CODES.INVALID_COMMANDS, "'blur' is not a field of 'nativeCommands'"],
+    [DIAGNOSTIC_CODES.INVALID_COMMANDS, "supportedCommands is missing 'focus' from 'nativeCommands'"]
+  ]);
+  assert.deepStrictEqual(errors(commands('{@as("scroll_to") scrollTo: ref => unit}', '["scroll_to"]')), []);
+});
+
+test('requires a ref argument and a unit result', () => {
+  assert.deepStrictEqual(errors(commands('{focus: unit => unit}', '["focus"]')), [
+    [DIAGNOSTIC_CODES.INVALID_COMMANDS, "Command 'focus' must take the component ref as its first argument"]
+  ]);
+  assert.deepStrictEqual(errors(commands('{focus: ref => bool}', '["focus"]')), [
+    [DIAGNOSTIC_CODES.INVALID_COMMANDS, "Command 'focus' must return unit"]
+  ]);
+});
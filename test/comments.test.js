@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('..');
+
+const source = `/**
+ * Storage module.
+ * @generated
+ * @owner platform team
+ */
+
+/** The spec. */
+type spec = {
+  ...turboModule,
+  /** Reads a value. */
+  getItem: string => promise<option<string>>,
+  // not a doc comment
+  clear: unit => unit,
+}
+let m: spec = getEnforcing("Storage")
+`;
+
+test('collects line and block comments with their ranges', () => {
+  const ast = parse(source, { filename: 'NativeStorage.res' });
+
+  assert.deepStrictEqual(ast.comments.map(comment => comment.type), ['Block', 'Block', 'Block', 'Line']);
+  const line = ast.comments[3];
+  assert.strictEqual(line.value, ' not a doc comment');
+  assert.strictEqual(source.slice(line.range[0], line.range[1]), '// not a doc comment');
+  assert.deepStrictEqual(line.loc.start, { line: 12, column: 2 });
+});
+
+test('extracts the docblock and its directives', () => {
+  const ast = parse(source, { filename: 'NativeStorage.res' });
+
+  assert.strictEqual(ast.docblock.comment, ast.comments[0]);
+  assert.deepStrictEqual(ast.docblock.directives, { generated: [''], owner: ['platform team'] });
+});
+
+test('has no docblock when code comes first', () => {
+  const ast = parse('type spec = {...turboModule, f: unit => unit}\n/** late */\nlet m: spec = getEnforcing("Sample")\n');
+
+  assert.strictEqual(ast.docblock, null);
+});
+
+test('attaches doc comments to the declaration or member that follows them', () => {
+  const ast = parse(source, { filename: 'NativeStorage.res' });
+  const spec = ast.body[0];
+  const [getItem, clear] = spec.declaration.body.properties;
+
+  assert.deepStrictEqual(spec.leadingComments.map(comment => comment.value), ['* The spec. ']);
+  assert.deepStrictEqual(getItem.leadingComments.map(comment => comment.value), ['* Reads a value. ']);
+  assert.strictEqual(clear.leadingComments, undefined);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse, printSpec, buildSchema, DIAGNOSTIC_CODES } = require('..');
+
+function component(options) {
+  return `type props = {...View.viewProps}\nlet make = codegenNativeComponent("Box", ${options})\n`;
+}
+
+function errors(options) {
+  return parse(component(options), { filename: 'BoxNativeComponent.res' }).errors.map(error => [error.code, error.message]);
+}
+
+test('prints the options object', () => {
+  const ast = parse(component('{interfaceOnly: true, paperComponentName: "RCTBox", excludedPlatforms: [#android]}'), { filename: 'BoxNativeComponent.res' });
+
+  assert.match(printSpec(ast), /export default \(codegenNativeComponent<props>\('Box', \{\n {2}interfaceOnly: true,\n {2}paperComponentName: 'RCTBox',\n {2}excludedPlatforms: \['android'\],\n\}\): HostComponent<props>\);\n$/);
+});
+
+test('copies the options onto the component schema', () => {
+  const { Box } = buildSchema(component('{paperComponentNameDeprecated: "RCTOld", excludedPlatforms: ["iOS"]}'), { filename: 'BoxNativeComponent.res' }).modules.Box.components;
+
+  assert.strictEqual(Box.paperComponentNameDeprecated, 'RCTOld');
+  assert.deepStrictEqual(Box.excludedPlatforms, ['iOS']);
+  assert.strictEqual('interfaceOnly' in Box, false);
+});
+
+test('reports invalid options', () => {
+  assert.deepStrictEqual(errors('{interfaceOnly: "yes"}'), [
+    [DIAGNOSTIC_CODES.INVALID_COMPONENT_OPTIONS, "Option 'interfaceOnly' must be a boolean literal"]
+  ]);
+  assert.deepStrictEqual(errors('{colour: true}'), [
+    [DIAGNOSTIC_CODES.INVALID_COMPONENT_OPTIONS, "Unknown codegenNativeComponent option 'colour'; expected one of interfaceOnly, paperComponentName, paperComponentNameDeprecated, excludedPlatforms"]
+  ]);
+  assert.deepStrictEqual(errors('{paperComponentName: "A", paperComponentNameDeprecated: "B"}'), [
+    [DIAGNOSTIC_CODES.INVALID_COMPONENT_OPTIONS, 'Cannot use both paperComponentName and paperComponentNameDeprecated']
+  ]);
+  assert.deepStrictEqual(errors('{excludedPlatforms: [#windows]}'), [
+    [DIAGNOSTIC_CODES.INVALID_COMPONENT_OPTIONS, 'Excluded platforms must be "iOS" or "android"']
+  ]);
+});
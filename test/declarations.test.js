@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('..');
+
+const describeStatements = ast => ast.body.map(statement => [statement.declaration.type, statement.declaration.id?.name]);
+
+test('emits every type declaration in source order', () => {
+  const ast = parse(`type config = {retries: int}
+type spec = {...turboModule, configure: config => unit}
+type status = string
+let m: spec = getEnforcing("Sample")
+`, { filename: 'NativeSample.res' });
+
+  assert.deepStrictEqual(ast.errors, []);
+  assert.deepStrictEqual(describeStatements(ast), [
+    ['TypeAlias', 'config'],
+    ['InterfaceDeclaration', 'Spec'],
+    ['TypeAlias', 'status'],
+    ['CallExpression', undefined]
+  ]);
+});
+
+test('finds the spec by its role and capitalises only the first letter of its name', () => {
+  const ast = parse(`type inspectorApi = {...turboModule, inspect: inspectorApi => unit}
+let m: inspectorApi = getEnforcing("Inspector")
+`, { filename: 'NativeInspector.res' });
+
+  const spec = ast.body[0].declaration;
+  assert.strictEqual(spec.type, 'InterfaceDeclaration');
+  assert.strictEqual(spec.id.name, 'InspectorApi');
+  assert.strictEqual(spec.body.properties[0].value.params[0].typeAnnotation.id.name, 'InspectorApi');
+  assert.strictEqual(ast.body[1].declaration.typeArguments.params[0].id.name, 'InspectorApi');
+});
+
+test('finds the spec from the lookup annotation when it has no spread', () => {
+  const ast = parse(`type options = {retries: int}
+type api = {configure: options => unit}
+let m: api = getEnforcing("Sample")
+`, { filename: 'NativeSample.res', validate: false });
+
+  assert.deepStrictEqual(describeStatements(ast).slice(0, 2), [['TypeAlias', 'options'], ['InterfaceDeclaration', 'Api']]);
+});
+
+test('emits object type aliases as plain ObjectTypeAnnotations', () => {
+  const ast = parse(`type props = {...View.viewProps, color?: string}
+let default = codegenNativeComponent("MyView")
+`, { filename: 'MyViewNativeComponent.res' });
+
+  const props = ast.body[0].declaration.right;
+  assert.strictEqual(props.type, 'ObjectTypeAnnotation');
+  assert.strictEqual(props.typeParameters, undefined);
+  assert.deepStrictEqual(props.properties.map(property => property.key?.name || property.argument.id.name), ['ViewProps', 'color']);
+});
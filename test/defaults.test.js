@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse, printSpec, buildSchema, DIAGNOSTIC_CODES } = require('..');
+
+const source = `type props = {
+  ...View.viewProps,
+  @default(0.5) opacity?: Float,
+  @default("auto") mode?: string,
+  @default(#idle) state?: [#idle | #active],
+  @default(true) enabled?: bool,
+  @default(None) label?: string,
+}
+let make = codegenNativeComponent("Box")
+`;
+
+function errors(prop) {
+  return parse(`type props = {...View.viewProps, ${prop}}\nlet make = codegenNativeComponent("Box")\n`).errors.map(error => [error.code, error.message]);
+}
+
+test('prints defaults as WithDefault', () => {
+  const printed = printSpec(parse(source, { filename: 'BoxNativeComponent.res' }));
+
+  assert.match(printed, / {2}opacity\?: WithDefault<Float, 0\.5>,\n {2}mode\?: WithDefault<string, 'auto'>,\n {2}state\?: WithDefault<'idle' \| 'active', 'idle'>,\n {2}enabled\?: WithDefault<boolean, true>,\n {2}label\?: WithDefault<string, null>,/);
+});
+
+test('puts defaults in the prop schema', () => {
+  const { props } = buildSchema(source, { filename: 'BoxNativeComponent.res' }).modules.Box.components.Box;
+
+  assert.deepStrictEqual(props.map(prop => prop.typeAnnotation), [
+    { type: 'FloatTypeAnnotation', default: 0.5 },
+    { type: 'StringTypeAnnotation', default: 'auto' },
+    { type: 'StringEnumTypeAnnotation', default: 'idle', options: ['idle', 'active'] },
+    { type: 'BooleanTypeAnnotation', default: true },
+    { type: 'StringTypeAnnotation', default: null }
+  ]);
+});
+
+test('reports defaults that do not fit the prop', () => {
+  assert.deepStrictEqual(errors('@default(1) opacity: Float'), [
+    [DIAGNOSTIC_CODES.INVALID_ATTRIBUTE, "Prop 'opacity' has a default value, so it must be optional (opacity?: ...)"]
+  ]);
+  assert.deepStrictEqual(errors('@default("x") opacity?: Float'), [
+    [DIAGNOSTIC_CODES.INVALID_ATTRIBUTE, "The default of Float prop 'opacity' must be a number or None"]
+  ]);
+  assert.deepStrictEqual(errors('@default(#busy) state?: [#idle | #active]'), [
+    [DIAGNOSTIC_CODES.INVALID_ATTRIBUTE, "The default of prop 'state' must be one of the cases of [#idle | #active]"]
+  ]);
+  assert.deepStrictEqual(errors('@default opacity?: Float'), [
+    [DIAGNOSTIC_CODES.INVALID_ATTRIBUTE, '@default takes a single value, e.g. @default(0.5)']
+  ]);
+});
+
+test('reports defaults outside component props', () => {
+  const ast = parse('type spec = {...turboModule, @default(1) f?: float}\nlet m: spec = getEnforcing("Sample")\n');
+
+  assert.deepStrictEqual(ast.errors.map(error => [error.code, error.message]), [
+    [DIAGNOSTIC_CODES.INVALID_ATTRIBUTE, '@default can only be used on component props']
+  ]);
+});
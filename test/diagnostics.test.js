@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse, ReScriptParseError, DIAGNOSTIC_CODES } = require('..');
+
+const invalid = 'type spec = {...turboModule, f: unknown => unit}\nlet m: spec = getEnforcing("Sample")\n';
+
+test('reports diagnostics with a code, severity, location and excerpt', () => {
+  const ast = parse(invalid, { filename: 'NativeSample.res' });
+
+  assert.deepStrictEqual(ast.errors, [{
+    code: DIAGNOSTIC_CODES.UNKNOWN_TYPE,
+    severity: 'error',
+    message: "Cannot find type 'unknown'",
+    line: 1,
+    column: 32,
+    position: 32,
+    loc: { source: 'NativeSample.res', start: { line: 1, column: 32 }, end: { line: 1, column: 39 } },
+    range: [32, 39],
+    excerpt: '> 1 | type spec = {...turboModule, f: unknown => unit}\n    |                                 ^^^^^^^'
+  }]);
+});
+
+test('throws a ReScriptParseError in strict mode', () => {
+  assert.throws(() => parse(invalid, { filename: 'NativeSample.res', strict: true }), error => {
+    assert.ok(error instanceof ReScriptParseError);
+    assert.strictEqual(error.diagnostics.length, 1);
+    assert.match(error.message, /^Failed to parse NativeSample\.res \(1 error\):\nNativeSample\.res:1:32 unknown-type: /);
+    return true;
+  });
+});
+
+test('does not throw for warnings in strict mode', () => {
+  const ast = parse(`open Shared\n${invalid}`, { strict: true });
+
+  assert.deepStrictEqual(ast.errors.map(error => error.severity), ['warning']);
+});
+
+test('returns an empty program for input that is not a string', () => {
+  const ast = parse(42);
+
+  assert.deepStrictEqual(ast.body, []);
+  assert.deepStrictEqual(ast.errors.map(error => error.code), [DIAGNOSTIC_CODES.INTERNAL_ERROR]);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffSpecs, ReScriptParseError } = require('..');
+
+const lookup = 'let m: spec = getEnforcing("Sample")\n';
+const make = 'let make = codegenNativeComponent("Box")\n';
+
+function diff(oldSource, newSource) {
+  const { breaking, changes } = diffSpecs(oldSource, newSource);
+  return { breaking, changes: changes.map(change => [change.kind, change.path, change.classification]) };
+}
+
+test('reports removed and renamed methods as breaking', () => {
+  assert.deepStrictEqual(
+    diff(`type spec = {...turboModule, f: unit => unit, g: unit => unit}\n${lookup}`, `type spec = {...turboModule, f: unit => unit}\n${lookup}`),
+    { breaking: true, changes: [['removed', 'g', 'breaking']] }
+  );
+  assert.deepStrictEqual(
+    diff(`type spec = {...turboModule, f: unit => unit}\n${lookup}`, `type spec = {...turboModule, g: unit => unit}\n${lookup}`),
+    { breaking: true, changes: [['renamed', 'f', 'breaking']] }
+  );
+});
+
+test('classifies changes by the direction the value travels', () => {
+  assert.deepStrictEqual(
+    diff(`type spec = {...turboModule, f: string => unit}\n${lookup}`, `type spec = {...turboModule, f: option<string> => unit}\n${lookup}`),
+    { breaking: false, changes: [['made-nullable', 'f(param0)', 'safe']] }
+  );
+  assert.deepStrictEqual(
+    diff(`type spec = {...turboModule, f: unit => string}\n${lookup}`, `type spec = {...turboModule, f: unit => option<string>}\n${lookup}`),
+    { breaking: true, changes: [['made-nullable', 'f()', 'breaking']] }
+  );
+  assert.deepStrictEqual(
+    diff(`type point = {x: float}\ntype spec = {...turboModule, setPoint: point => unit}\n${lookup}`, `type point = {x: float, y: float}\ntype spec = {...turboModule, setPoint: point => unit}\n${lookup}`),
+    { breaking: true, changes: [['added', 'setPoint(param0).y', 'breaking']] }
+  );
+});
+
+test('resolves local type aliases before comparing', () => {
+  assert.deepStrictEqual(
+    diff(`type point = {x: float}\ntype spec = {...turboModule, getPoint: unit => point}\n${lookup}`, `type coordinates = {x: float, y: float}\ntype spec = {...turboModule, getPoint: unit => coordinates}\n${lookup}`),
+    { breaking: false, changes: [['added', 'getPoint().y', 'safe']] }
+  );
+});
+
+test('compares component enums and defaults', () => {
+  const { changes } = diffSpecs(
+    `type props = {...View.viewProps, @default(#a) mode?: [#a | #b]}\n${make}`,
+    `type props = {...View.viewProps, @default(#b) mode?: [#a | #b | #c]}\n${make}`
+  );
+
+  assert.deepStrictEqual(changes.map(change => [change.kind, change.message]), [
+    ['enum-member-added', 'Enum member "c" was added to \'mode\''],
+    ['default-changed', 'The default of \'mode\' changed from "a" to "b"']
+  ]);
+  assert.deepStrictEqual(changes[0].loc.start, { line: 1, column: 53 });
+});
+
+test('throws for a spec with errors', () => {
+  assert.throws(
+    () => diffSpecs(`type spec = {...turboModule, f: unit => unit}\n${lookup}`, `type spec = {...turboModule, f: unknown => unit}\n${lookup}`),
+    ReScriptParseError
+  );
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse, printSpec, buildSchema, DIAGNOSTIC_CODES } = require('..');
+
+const source = `type changeEvent = {value: float, label?: string}
+type props = {
+  ...View.viewProps,
+  onChange?: bubblingEventHandler<changeEvent, [#topChange]>,
+  onPress: directEventHandler<unit>,
+}
+let make = codegenNativeComponent("Box")
+`;
+
+function eventProp(prop) {
+  return `type props = {...View.viewProps, ${prop}}\nlet make = codegenNativeComponent("Box")\n`;
+}
+
+test('prints event props with codegen\'s handler types', () => {
+  const printed = printSpec(parse(source, { filename: 'BoxNativeComponent.res' }));
+
+  assert.match(printed, /import type \{Double, BubblingEventHandler, DirectEventHandler\} from 'react-native\/Libraries\/Types\/CodegenTypes';/);
+  assert.match(printed, /export type changeEvent = \$ReadOnly<\{\|\n {2}value: Double,\n {2}label\?: string,\n\|\}>;/);
+  assert.match(printed, / {2}onChange\?: BubblingEventHandler<changeEvent, 'topChange'>,\n {2}onPress: DirectEventHandler<null>,/);
+});
+
+test('lists event props as the component\'s events', () => {
+  const { Box } = buildSchema(source, { filename: 'BoxNativeComponent.res' }).modules.Box.components;
+
+  assert.deepStrictEqual(Box.props, []);
+  assert.deepStrictEqual(Box.events, [
+    {
+      name: 'onChange',
+      optional: true,
+      bubblingType: 'bubble',
+      paperTopLevelNameDeprecated: 'topChange',
+      typeAnnotation: {
+        type: 'EventTypeAnnotation',
+        argument: {
+          type: 'ObjectTypeAnnotation',
+          properties: [
+            { name: 'value', optional: false, typeAnnotation: { type: 'DoubleTypeAnnotation' } },
+            { name: 'label', optional: true, typeAnnotation: { type: 'StringTypeAnnotation' } }
+          ]
+        }
+      }
+    },
+    {
+      name: 'onPress',
+      optional: false,
+      bubblingType: 'direct',
+      typeAnnotation: { type: 'EventTypeAnnotation', argument: { type: 'ObjectTypeAnnotation', properties: [] } }
+    }
+  ]);
+});
+
+test('reports malformed event handlers', () => {
+  const errors = prop => parse(eventProp(prop)).errors.map(error => [error.code, error.message]);
+
+  assert.deepStrictEqual(errors('onPress: directEventHandler'), [
+    [DIAGNOSTIC_CODES.UNSUPPORTED_TYPE, 'directEventHandler takes the event payload and optionally the paper event name, e.g. directEventHandler<payload, [#topChange]>']
+  ]);
+  assert.deepStrictEqual(errors('onPress: directEventHandler<unit, [#a | #b]>'), [
+    [DIAGNOSTIC_CODES.UNSUPPORTED_TYPE, 'The paper event name must be a single polymorphic variant, e.g. [#topChange]']
+  ]);
+  assert.throws(
+    () => buildSchema(eventProp('onPress: directEventHandler<float>'), { filename: 'BoxNativeComponent.res' }),
+    /unsupported-type: The payload of event 'onPress' must be a record/
+  );
+});
@@ -0,0 +1,19 @@
+type props = {
+  ...View.viewProps,
+  onDirectEventDefinedInlineNull: directEventHandler<unit>,
+  onDirectEventDefinedInlineNullOptionalKey?: directEventHandler<unit>,
+  onDirectEventDefinedInlineNullOptionalValue: option<directEventHandler<unit>>,
+  onDirectEventDefinedInlineNullOptionalBoth?: directEventHandler<unit>,
+  onDirectEventDefinedInlineNullWithPaperName?: option<
+    directEventHandler<unit, [#paperDirectEventDefinedInlineNullWithPaperName]>,
+  >,
+  onBubblingEventDefinedInlineNull: bubblingEventHandler<unit>,
+  onBubblingEventDefinedInlineNullOptionalKey?: bubblingEventHandler<unit>,
+  onBubblingEventDefinedInlineNullOptionalValue: option<bubblingEventHandler<unit>>,
+  onBubblingEventDefinedInlineNullOptionalBoth?: option<bubblingEventHandler<unit>>,
+  onBubblingEventDefinedInlineNullWithPaperName?: option<
+    bubblingEventHandler<unit, [#paperBubblingEventDefinedInlineNullWithPaperName]>,
+  >,
+}
+
+let make = codegenNativeComponent("Module")
@@ -0,0 +1,11 @@
+type props = {
+  ...View.viewProps,
+  @default(true) boolean_default_true_optional_both?: bool,
+  onDirectEventDefinedInlineNull: directEventHandler<unit>,
+  onBubblingEventDefinedInlineNull: bubblingEventHandler<unit>,
+}
+
+let make = codegenNativeComponent(
+  "Module",
+  {interfaceOnly: true, excludedPlatforms: [#android], paperComponentName: "RCTModule"},
+)
@@ -0,0 +1,16 @@
+type deepSpread = {otherStringProp: string}
+
+type propsInFile = {
+  ...deepSpread,
+  isEnabled: bool,
+  label: string,
+}
+
+type props = {
+  ...View.viewProps,
+  ...propsInFile,
+  localType: propsInFile,
+  localArr: array<propsInFile>,
+}
+
+let make = codegenNativeComponent("Module")
@@ -0,0 +1,83 @@
+type eventInFile = {
+  boolean_required: bool,
+  boolean_optional_key?: bool,
+  boolean_optional_value?: bool,
+  boolean_optional_both?: bool,
+  string_required: string,
+  string_optional_key?: string,
+  string_optional_value?: string,
+  string_optional_both?: string,
+  double_required: Double,
+  double_optional_key?: Double,
+  double_optional_value?: Double,
+  double_optional_both?: Double,
+  float_required: Float,
+  float_optional_key?: Float,
+  float_optional_value?: Float,
+  float_optional_both?: Float,
+  int32_required: Int32,
+  int32_optional_key?: Int32,
+  int32_optional_value?: Int32,
+  int32_optional_both?: Int32,
+  union_required: [#small | #large],
+  union_optional_key?: [#small | #large],
+  union_optional_value?: [#small | #large],
+  union_optional_both?: [#small | #large],
+  object_required: {"boolean_required": bool},
+  object_optional_key?: {"string_optional_key"?: string},
+  object_optional_value?: {"float_optional_value"?: Float},
+  object_optional_both?: {"int32_optional_both"?: Int32},
+  object_required_nested_2_layers: {"object_optional_nested_1_layer"?: {"boolean_required": Int32, "string_optional_key"?: string, "double_optional_value"?: Double, "float_optional_value"?: Float, "int32_optional_both"?: Int32}},
+  object_readonly_required: {"boolean_required": bool},
+  object_readonly_optional_key?: {"string_optional_key"?: string},
+  object_readonly_optional_value?: {"float_optional_value"?: Float},
+  object_readonly_optional_both?: {"int32_optional_both"?: Int32},
+  boolean_array_required: array<bool>,
+  boolean_array_optional_key?: array<bool>,
+  boolean_array_optional_value?: array<bool>,
+  boolean_array_optional_both?: array<bool>,
+  string_array_required: array<string>,
+  string_array_optional_key?: array<string>,
+  string_array_optional_value?: array<string>,
+  string_array_optional_both?: array<string>,
+  double_array_required: array<Double>,
+  double_array_optional_key?: array<Double>,
+  double_array_optional_value?: array<Double>,
+  double_array_optional_both?: array<Double>,
+  float_array_required: array<Float>,
+  float_array_optional_key?: array<Float>,
+  float_array_optional_value?: array<Float>,
+  float_array_optional_both?: array<Float>,
+  int32_array_required: array<Int32>,
+  int32_array_optional_key?: array<Int32>,
+  int32_array_optional_value?: array<Int32>,
+  int32_array_optional_both?: array<Int32>,
+  union_array_required: array<[#small | #large]>,
+  union_array_optional_key?: array<[#small | #large]>,
+  union_array_optional_value?: array<[#small | #large]>,
+  union_array_optional_both?: array<[#small | #large]>,
+  object_array_required: array<{"boolean_required": bool}>,
+  object_array_optional_key?: array<{"string_optional_key"?: string}>,
+  object_array_optional_value?: array<{"float_optional_value"?: Float}>,
+  object_array_optional_both?: array<{"int32_optional_both"?: Int32}>,
+  int32_array_array_required: array<array<Int32>>,
+  int32_array_array_optional_key?: array<array<Int32>>,
+  int32_array_array_optional_value?: array<array<Int32>>,
+  int32_array_array_optional_both?: array<array<Int32>>,
+}
+
+type props = {
+  ...View.viewProps,
+  onBubblingEventDefinedInline: bubblingEventHandler<eventInFile>,
+  onBubblingEventDefinedInlineWithPaperName: bubblingEventHandler<
+    eventInFile,
+    [#paperBubblingEventDefinedInlineWithPaperName],
+  >,
+  onDirectEventDefinedInline: directEventHandler<eventInFile>,
+  onDirectEventDefinedInlineWithPaperName: directEventHandler<
+    eventInFile,
+    [#paperDirectEventDefinedInlineWithPaperName],
+  >,
+}
+
+let make = codegenNativeComponent("Module")
@@ -0,0 +1,9 @@
+type string_ = string
+type anotherArray = array<string_>
+
+type props = {
+  disable: string_,
+  array: anotherArray,
+}
+
+let make = codegenNativeComponent("Module")
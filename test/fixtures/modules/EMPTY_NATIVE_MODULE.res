@@ -0,0 +1,3 @@
+type spec = {...TurboModule.turboModule}
+
+let nativeModule: spec = TurboModule.getEnforcing("SampleTurboModule")
@@ -0,0 +1,23 @@
+type numNum = float
+type num = (~arg: numNum) => unit
+type num2 = num
+type void_ = unit
+type a = float
+type b = float
+type objectAlias = {x: float, y: float, label: string, truthy: bool}
+type pureObjectAlias = objectAlias
+type readOnlyAlias = objectAlias
+
+type spec = {
+  ...TurboModule.turboModule,
+  getNumber: num2,
+  getVoid: unit => void_,
+  getArray: (~a: array<a>) => {"a": b},
+  getStringFromAlias: (~a: objectAlias) => string,
+  getStringFromNullableAlias: (~a: option<objectAlias>) => string,
+  getStringFromPureAlias: (~a: pureObjectAlias) => string,
+  getStringFromReadOnlyAlias: (~a: readOnlyAlias) => string,
+  getStringFromNullableReadOnlyAlias: (~a: option<readOnlyAlias>) => string,
+}
+
+let nativeModule: spec = TurboModule.getEnforcing("SampleTurboModule")
@@ -0,0 +1,8 @@
+type someString = string
+
+type spec = {
+  ...TurboModule.turboModule,
+  getArray: (~arg: array<someString>) => array<string>,
+}
+
+let nativeModule: spec = TurboModule.getEnforcing("SampleTurboModule")
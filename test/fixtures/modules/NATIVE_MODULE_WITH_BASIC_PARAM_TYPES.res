@@ -0,0 +1,11 @@
+type spec = {
+  ...TurboModule.turboModule,
+  passBool?: (~arg: bool) => unit,
+  passNumber: (~arg: float) => unit,
+  passNumberLiteral: (~arg: [#4]) => unit,
+  passString: (~arg: string) => unit,
+  passStringish: (~arg: string) => unit,
+  passStringLiteral: (~arg: [#"A String Literal"]) => unit,
+}
+
+let nativeModule: spec = TurboModule.getEnforcing("SampleTurboModule")
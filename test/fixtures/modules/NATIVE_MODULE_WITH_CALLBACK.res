@@ -0,0 +1,6 @@
+type spec = {
+  ...TurboModule.turboModule,
+  getValueWithCallback: (~callback: (~value: string, ~arr: array<array<string>>) => unit) => unit,
+}
+
+let nativeModule: spec = TurboModule.getEnforcing("SampleTurboModule")
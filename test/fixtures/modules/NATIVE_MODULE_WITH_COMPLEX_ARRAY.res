@@ -0,0 +1,6 @@
+type spec = {
+  ...TurboModule.turboModule,
+  getArray: (~arg: array<array<array<array<array<string>>>>>) => array<array<array<string>>>,
+}
+
+let nativeModule: spec = TurboModule.getEnforcing("SampleTurboModule")
@@ -0,0 +1,11 @@
+type string_ = string
+
+type spec = {
+  ...TurboModule.turboModule,
+  getObject: (~arg: {"const1": {"const1": bool}}) => {"const1": {"const1": bool}},
+  getReadOnlyObject: (~arg: {"const1": {"const1": bool}}) => {"const1": {"const1": bool}},
+  getObject2: (~arg: {"a": string_}) => Js.Json.t,
+  getObjectInArray: (~arg: {"const1": {"const1": bool}}) => array<{"const1": {"const1": bool}}>,
+}
+
+let nativeModule: spec = TurboModule.getEnforcing("SampleTurboModule")
@@ -0,0 +1,18 @@
+type spec = {
+  ...TurboModule.turboModule,
+  getConstants: unit => {
+    "isTesting": bool,
+    "reactNativeVersion": {
+      "major": float,
+      "minor": float,
+      "patch"?: float,
+      "prerelease": option<float>,
+    },
+    "forceTouchAvailable": bool,
+    "osVersion": string,
+    "systemName": string,
+    "interfaceIdiom": string,
+  },
+}
+
+let nativeModule: spec = TurboModule.getEnforcing("SampleTurboModule")
@@ -0,0 +1,7 @@
+type spec = {
+  ...TurboModule.turboModule,
+  getInt: (~arg: Int32) => Int32,
+  getFloat: (~arg: Float) => Float,
+}
+
+let nativeModule: spec = TurboModule.getEnforcing("SampleTurboModule")
@@ -0,0 +1,10 @@
+type bar = {z: float}
+type foo = {bar1: bar, bar2: bar}
+
+type spec = {
+  ...TurboModule.turboModule,
+  foo1: (~x: foo) => foo,
+  foo2: (~x: foo) => unit,
+}
+
+let nativeModule: spec = TurboModule.getEnforcing("SampleTurboModule")
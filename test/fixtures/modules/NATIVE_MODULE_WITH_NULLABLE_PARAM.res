@@ -0,0 +1,6 @@
+type spec = {
+  ...TurboModule.turboModule,
+  voidFunc: (~arg: option<string>) => unit,
+}
+
+let nativeModule: spec = TurboModule.getEnforcing("SampleTurboModule")
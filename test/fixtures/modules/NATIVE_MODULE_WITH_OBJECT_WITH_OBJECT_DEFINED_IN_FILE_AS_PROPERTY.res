@@ -0,0 +1,9 @@
+type displayMetricsAndroid = {width: float}
+
+type spec = {
+  ...TurboModule.turboModule,
+  getConstants: unit => {"Dimensions": {"windowPhysicalPixels": displayMetricsAndroid}},
+  getConstants2: unit => {"Dimensions": {"windowPhysicalPixels": displayMetricsAndroid}},
+}
+
+let nativeModule: spec = TurboModule.getEnforcing("SampleTurboModule")
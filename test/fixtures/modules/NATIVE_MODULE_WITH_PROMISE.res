@@ -0,0 +1,11 @@
+type string_ = string
+type someObj = {a: string}
+
+type spec = {
+  ...TurboModule.turboModule,
+  getValueWithPromise: unit => promise<string>,
+  getValueWithPromiseDefinedSomewhereElse: unit => promise<string_>,
+  getValueWithPromiseObjDefinedSomewhereElse: unit => promise<someObj>,
+}
+
+let nativeModule: spec = TurboModule.getEnforcing("SampleTurboModule")
@@ -0,0 +1,6 @@
+type spec = {
+  ...TurboModule.turboModule,
+  getUnsafeObject: (~o: Js.Json.t) => Js.Json.t,
+}
+
+let nativeModule: spec = TurboModule.getEnforcing("SampleTurboModule")
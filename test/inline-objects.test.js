@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse, printSpec, buildSchema } = require('..');
+
+const source = `type spec = {
+  ...turboModule,
+  getConstants: unit => {"version": string, "build": int},
+  save: array<{id: string, tags?: option<array<{"name": string}>>}> => unit,
+}
+let m: spec = getEnforcing("Sample")
+`;
+
+const property = (name, typeAnnotation, optional = false) => ({ name, optional, typeAnnotation });
+
+test('parses inline records and JS objects as object types', () => {
+  const ast = parse(source, { filename: 'NativeSample.res' });
+  const spec = ast.body.find(node => node.type === 'ExportNamedDeclaration').declaration;
+  const constants = spec.body.properties[0].value.returnType;
+
+  assert.deepStrictEqual(ast.errors, []);
+  assert.strictEqual(constants.type, 'ObjectTypeAnnotation');
+  assert.deepStrictEqual(constants.properties.map(prop => [prop.key.name, prop.optional, prop.value.type]), [
+    ['version', false, 'StringTypeAnnotation'],
+    ['build', false, 'NumberTypeAnnotation']
+  ]);
+  assert.match(printSpec(ast), / {2}\+getConstants: \(\) => \{\|\n {4}version: string,\n {4}build: number,\n {2}\|\};/);
+});
+
+test('builds nested inline objects into the module schema', () => {
+  const [getConstants, save] = buildSchema(source, { filename: 'NativeSample.res' }).modules.NativeSample.spec.methods;
+
+  assert.deepStrictEqual(getConstants.typeAnnotation.returnTypeAnnotation, {
+    type: 'ObjectTypeAnnotation',
+    properties: [
+      property('version', { type: 'StringTypeAnnotation' }),
+      property('build', { type: 'NumberTypeAnnotation' })
+    ]
+  });
+  assert.deepStrictEqual(save.typeAnnotation.params[0].typeAnnotation, {
+    type: 'ArrayTypeAnnotation',
+    elementType: {
+      type: 'ObjectTypeAnnotation',
+      properties: [
+        property('id', { type: 'StringTypeAnnotation' }),
+        property('tags', {
+          type: 'NullableTypeAnnotation',
+          typeAnnotation: {
+            type: 'ArrayTypeAnnotation',
+            elementType: { type: 'ObjectTypeAnnotation', properties: [property('name', { type: 'StringTypeAnnotation' })] }
+          }
+        }, true)
+      ]
+    }
+  });
+});
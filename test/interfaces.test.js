@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse, DIAGNOSTIC_CODES } = require('..');
+
+const spec = 'type spec = {...turboModule, f: unit => unit}\n';
+const external = '@module("react-native") @scope("TurboModuleRegistry")\n';
+const equivalent = parse(`${spec}let nativeModule: spec = getEnforcing("Sample")\n`, { filename: 'NativeSample.res' });
+
+const strip = node => JSON.parse(JSON.stringify(node, (key, value) => (['loc', 'range', 'start', 'end'].includes(key) ? undefined : value)));
+
+test('parses a .resi interface into the AST of the equivalent .res spec', () => {
+  const ast = parse(`${spec}${external}external nativeModule: (@as("Sample") _, unit) => spec = "getEnforcing"\n`, { filename: 'NativeSample.resi' });
+
+  assert.deepStrictEqual(ast.errors, []);
+  assert.deepStrictEqual(strip(ast.body), strip(equivalent.body));
+});
+
+test('parses an external lookup into the AST of the equivalent let binding', () => {
+  const ast = parse(`${spec}${external}external load: string => spec = "getEnforcing"\nlet nativeModule = load("Sample")\n`, { filename: 'NativeSample.res' });
+
+  assert.deepStrictEqual(ast.errors, []);
+  assert.deepStrictEqual(strip(ast.body), strip(equivalent.body));
+});
+
+test('accepts let declarations without a definition only in interfaces', () => {
+  const declaration = `${spec}let nativeModule: spec\n`;
+
+  assert.deepStrictEqual(parse(declaration, { filename: 'NativeSample.resi' }).errors.map(error => error.code), [DIAGNOSTIC_CODES.UNUSED_MODULE_SPEC]);
+  assert.deepStrictEqual(parse(declaration, { interface: true }).errors.map(error => error.code), [DIAGNOSTIC_CODES.UNUSED_MODULE_SPEC]);
+  assert.deepStrictEqual(parse(declaration, { filename: 'NativeSample.res' }).errors.map(error => error.code), [
+    DIAGNOSTIC_CODES.SYNTAX_ERROR,
+    DIAGNOSTIC_CODES.UNUSED_MODULE_SPEC
+  ]);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parse, printJestMock, writeJestMock } = require('..');
+
+const source = `type point = {x: float, label?: string}
+type spec = {
+  ...turboModule,
+  getName: unit => string,
+  getMode: unit => [#light | #dark],
+  find: string => option<point>,
+  getPoint: unit => point,
+  load: unit => promise<array<string>>,
+  log: string => unit,
+}
+let m: spec = getEnforcing("Sample")
+`;
+
+test('prints a jest.fn with a default result for each method', () => {
+  assert.strictEqual(printJestMock(parse(source, { filename: 'NativeSample.res' })), `/**
+ * Jest mock generated from NativeSample.res. Do not edit.
+ *
+ * Assigns the mock to NativeModules['Sample']. TurboModuleRegistry.get and getEnforcing
+ * only return it through their fallback to NativeModules, which React Native's Jest preset uses
+ * because it installs no TurboModule proxy and is not bridgeless. Tests that set
+ * global.__turboModuleProxy or global.RN$Bridgeless will not find this mock.
+ *
+ * @format
+ */
+
+'use strict';
+
+const {NativeModules} = require('react-native');
+
+const SampleMock = {
+  getName: jest.fn(() => ''),
+  getMode: jest.fn(() => 'light'),
+  find: jest.fn(() => null),
+  getPoint: jest.fn(() => ({
+    x: 0,
+  })),
+  load: jest.fn(() => Promise.resolve([])),
+  log: jest.fn(),
+};
+
+NativeModules.Sample = SampleMock;
+
+module.exports = SampleMock;
+`);
+});
+
+// A `react-native` mock whose `TurboModuleRegistry` looks modules up the way React Native's does
+// under its Jest preset: with no TurboModule proxy and not bridgeless, it falls back to `NativeModules`.
+function mockReactNative() {
+  const NativeModules = {};
+  const requireModule = name => NativeModules[name] ?? null;
+  const TurboModuleRegistry = {
+    get: requireModule,
+    getEnforcing(name) {
+      const module = requireModule(name);
+      assert.ok(module != null, `TurboModuleRegistry.getEnforcing(...): '${name}' could not be found.`);
+      return module;
+    }
+  };
+  return { NativeModules, TurboModuleRegistry };
+}
+
+function loadMock(reactNative) {
+  const module = { exports: {} };
+  const jest = { fn: (implementation = () => undefined) => implementation };
+  const require = name => {
+    assert.strictEqual(name, 'react-native');
+    return reactNative;
+  };
+  new Function('jest', 'require', 'module', printJestMock(parse(source, { filename: 'NativeSample.res' })))(jest, require, module);
+  return module.exports;
+}
+
+test('is returned by TurboModuleRegistry once it is loaded', async () => {
+  const reactNative = mockReactNative();
+  const mock = loadMock(reactNative);
+
+  assert.strictEqual(reactNative.TurboModuleRegistry.get('Sample'), mock);
+  assert.strictEqual(reactNative.TurboModuleRegistry.getEnforcing('Sample'), mock);
+  assert.deepStrictEqual(mock.getPoint(), { x: 0 });
+  assert.deepStrictEqual(await mock.load(), []);
+  assert.strictEqual(mock.log('message'), undefined);
+});
+
+test('writes the mock to disk', t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rescript-mock-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const ast = parse(source, { filename: 'NativeSample.res' });
+
+  const mockPath = writeJestMock(ast, path.join(directory, '__mocks__', 'NativeSample.js'));
+
+  assert.strictEqual(fs.readFileSync(mockPath, 'utf8'), printJestMock(ast));
+});
+
+test('rejects specs without a module lookup', () => {
+  assert.throws(
+    () => printJestMock(parse('type props = {...View.viewProps}\nlet make = codegenNativeComponent("Box")\n')),
+    /Expected the Flow AST of a TurboModule spec, with its TurboModuleRegistry lookup/
+  );
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('..');
+
+const parseMethods = fields => {
+  const ast = parse(`type spec = {...turboModule, ${fields}}\nlet m: spec = getEnforcing("Sample")\n`, { filename: 'NativeSample.res' });
+  return { ast, methods: ast.body[0].declaration.body.properties.map(property => property.value) };
+};
+
+const describeParams = method => method.params.map(param => [param.name.name, param.optional]);
+
+test('keeps labeled argument names', () => {
+  const { ast, methods } = parseMethods('setItem: (~key: string, ~value: string) => unit');
+
+  assert.deepStrictEqual(ast.errors, []);
+  assert.deepStrictEqual(describeParams(methods[0]), [['key', false], ['value', false]]);
+});
+
+test('marks optional labeled arguments as optional', () => {
+  const { methods } = parseMethods('configure: (~retries: int=?, ~label: string, unit) => unit');
+
+  assert.deepStrictEqual(describeParams(methods[0]), [['retries', true], ['label', false]]);
+});
+
+test('keeps named arguments and numbers the unnamed ones', () => {
+  const { methods } = parseMethods('setItem: (key: string, float) => unit');
+
+  assert.deepStrictEqual(describeParams(methods[0]), [['key', false], ['param1', false]]);
+});
+
+test('keeps the argument names of callbacks', () => {
+  const { methods } = parseMethods('load: (~onDone: (~result: string) => unit) => unit');
+  const callback = methods[0].params[0];
+
+  assert.strictEqual(callback.name.name, 'onDone');
+  assert.deepStrictEqual(describeParams(callback.typeAnnotation), [['result', false]]);
+});
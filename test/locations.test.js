@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('..');
+
+const source = `type options = {retries: int, label?: string}
+type spec = {
+  ...turboModule,
+  greet: (string, ~callback: string => unit) => unit,
+  configure: options => promise<array<int>>,
+}
+let m: spec = getEnforcing("Sample")
+`;
+
+// Line and column of an offset, counted independently of the parser.
+const positionOf = (input, offset) => {
+  const before = input.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length };
+};
+
+const collectNodes = (node, nodes = []) => {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectNodes(child, nodes));
+  } else if (node && typeof node === 'object') {
+    if (node.type && node.loc && node.range) nodes.push(node);
+    Object.entries(node).forEach(([key, child]) => {
+      if (key !== 'loc' && key !== 'range') collectNodes(child, nodes);
+    });
+  }
+  return nodes;
+};
+
+test('gives every node a loc that agrees with its range', () => {
+  for (const input of [source, source.replace(/\n/g, '\r\n')]) {
+    const ast = parse(input, { filename: 'NativeSample.res' });
+    const nodes = collectNodes(ast.body);
+
+    assert.ok(nodes.length > 40);
+    nodes.forEach(node => {
+      assert.deepStrictEqual(node.loc.start, positionOf(input, node.range[0]), `${node.type} start`);
+      assert.deepStrictEqual(node.loc.end, positionOf(input, node.range[1]), `${node.type} end`);
+      assert.strictEqual(node.loc.source, 'NativeSample.res');
+    });
+  }
+});
+
+test('points methods, params and nested types at their source text', () => {
+  const ast = parse(source, { filename: 'NativeSample.res' });
+  const text = node => source.slice(node.range[0], node.range[1]);
+  const [greet, configure] = ast.body[1].declaration.body.properties;
+
+  assert.strictEqual(text(greet), 'greet: (string, ~callback: string => unit) => unit');
+  assert.strictEqual(text(greet.key), 'greet');
+  assert.deepStrictEqual(greet.key.loc.start, { line: 4, column: 2 });
+  assert.strictEqual(text(greet.value.params[0]), 'string');
+  assert.strictEqual(text(greet.value.params[1]), '~callback: string => unit');
+  assert.strictEqual(text(greet.value.params[1].typeAnnotation.params[0].typeAnnotation), 'string');
+  assert.strictEqual(text(configure.value.returnType.typeParameters.params[0]), 'array<int>');
+  assert.strictEqual(text(ast.body[0].declaration.right.properties[1]), 'label?: string');
+});
+
+test('points diagnostics at the offending text', () => {
+  const ast = parse('type spec = {...turboModule,\n  f: unknown => unit}\nlet m: spec = getEnforcing("Sample")\n', { filename: 'NativeSample.res' });
+
+  assert.deepStrictEqual(ast.errors.map(error => [error.code, error.line, error.column]), [['unknown-type', 2, 5]]);
+  assert.strictEqual(ast.errors[0].excerpt, '> 2 |   f: unknown => unit}\n    |      ^^^^^^^');
+});
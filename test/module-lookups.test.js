@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse, DIAGNOSTIC_CODES } = require('..');
+
+const spec = 'type spec = {...turboModule, f: unit => unit}\n';
+const external = '@module("react-native") @scope("TurboModuleRegistry")\n';
+
+function lookup(source) {
+  const ast = parse(spec + source, { filename: 'NativeSample.res' });
+  const exported = ast.body.find(node => node.type === 'ExportDefaultDeclaration');
+  return {
+    call: exported && `${exported.declaration.callee.property.name}<${exported.declaration.typeArguments.params[0].id.name}>(${exported.declaration.arguments[0].value})`,
+    errors: ast.errors.map(error => [error.code, error.message])
+  };
+}
+
+test('exports get and getEnforcing lookups as TurboModuleRegistry calls', () => {
+  assert.deepStrictEqual(lookup('let m: spec = getEnforcing("Sample")\n'), { call: 'getEnforcing<Spec>(Sample)', errors: [] });
+  assert.deepStrictEqual(lookup('let m: option<spec> = get("Sample")\n'), { call: 'get<Spec>(Sample)', errors: [] });
+  assert.deepStrictEqual(lookup('let m = TurboModule.getEnforcing("Sample")\n'), { call: 'getEnforcing<Spec>(Sample)', errors: [] });
+});
+
+test('checks the annotation against the lookup', () => {
+  assert.deepStrictEqual(lookup('let m: option<spec> = getEnforcing("Sample")\n').errors, [
+    [DIAGNOSTIC_CODES.INVALID_MODULE_LOOKUP, 'getEnforcing never returns None; annotate the binding with the spec type itself or use get']
+  ]);
+  assert.deepStrictEqual(lookup('let m: spec = get("Sample")\n').errors, [
+    [DIAGNOSTIC_CODES.INVALID_MODULE_LOOKUP, 'get returns option<spec>; annotate the binding with an option or use getEnforcing']
+  ]);
+  assert.deepStrictEqual(lookup('type point = {x: float}\nlet m: point = getEnforcing("Sample")\n').errors, [
+    [DIAGNOSTIC_CODES.INVALID_MODULE_LOOKUP, "Module 'Sample' is annotated as 'point', but the spec type is 'spec'"]
+  ]);
+});
+
+test('reports a module name that is not a string literal', () => {
+  assert.deepStrictEqual(lookup('let name = "Sample"\nlet m: spec = getEnforcing(name)\n'), {
+    call: undefined,
+    errors: [[DIAGNOSTIC_CODES.INVALID_MODULE_LOOKUP, 'The module name passed to getEnforcing must be a string literal']]
+  });
+});
+
+test('reports a spec that no lookup loads', () => {
+  const unrecognised = lookup('let m: spec = TurboModuleRegistry.getEnforcing("Sample")\n');
+
+  assert.strictEqual(unrecognised.call, undefined);
+  assert.deepStrictEqual(unrecognised.errors.map(([code]) => code), [DIAGNOSTIC_CODES.UNUSED_MODULE_SPEC]);
+  assert.match(unrecognised.errors[0][1], /^Spec 'spec' is not loaded by any module lookup, so no module would be exported\. Accepted lookups are /);
+
+  const ast = parse(spec, { filename: 'NativeSample.res' });
+  assert.deepStrictEqual(ast.errors.map(error => [error.code, error.line, error.column]), [[DIAGNOSTIC_CODES.UNUSED_MODULE_SPEC, 1, 5]]);
+});
+
+test('accepts externals bound to TurboModuleRegistry', () => {
+  assert.deepStrictEqual(
+    lookup(`${external}external load: string => spec = "getEnforcing"\nlet m = load("Sample")\n`),
+    { call: 'getEnforcing<Spec>(Sample)', errors: [] }
+  );
+  assert.deepStrictEqual(
+    lookup(`${external}external load: string => option<spec> = "get"\nlet m = load("Sample")\n`),
+    { call: 'get<Spec>(Sample)', errors: [] }
+  );
+  assert.deepStrictEqual(
+    lookup(`${external}external nativeModule: (@as("Sample") _, unit) => spec = "getEnforcing"\n`),
+    { call: 'getEnforcing<Spec>(Sample)', errors: [] }
+  );
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse, printSpec, DIAGNOSTIC_CODES } = require('..');
+
+const errors = source => parse(source).errors.map(error => [error.code, error.message]);
+
+test('reads declarations in nested modules with flat names', () => {
+  const ast = parse('module Spec = {\n  type event = {value: float}\n  type t = {...turboModule, f: event => unit}\n}\nlet m: Spec.t = getEnforcing("Sample")\n', { filename: 'NativeSample.res' });
+
+  assert.deepStrictEqual(ast.errors, []);
+  assert.deepStrictEqual(ast.body.map(node => [node.type, node.declaration.id?.name, node.rescriptModule]), [
+    ['ExportNamedDeclaration', 'Spec_event', 'Spec'],
+    ['ExportNamedDeclaration', 'Spec', 'Spec'],
+    ['ExportDefaultDeclaration', undefined, undefined]
+  ]);
+  assert.match(printSpec(ast), /export interface Spec extends TurboModule \{\n {2}\+f: \(param0: Spec_event\) => void;\n\}/);
+});
+
+test('resolves references through opens and qualified names', () => {
+  const ast = parse('module Types = {\n  type point = {x: float}\n}\nopen Types\ntype spec = {...turboModule, f: point => unit, g: Types.point => unit}\nlet m: spec = getEnforcing("Sample")\n');
+  const spec = ast.body.find(node => node.declaration.id?.name === 'Spec').declaration;
+
+  assert.deepStrictEqual(ast.errors, []);
+  assert.deepStrictEqual(spec.body.properties.map(prop => prop.value.params[0].typeAnnotation.id.name), ['Types_point', 'Types_point']);
+});
+
+test('reports types a local module does not declare', () => {
+  const types = 'module Types = {\n  type point = {x: float}\n}\n';
+  const lookup = 'let m: spec = getEnforcing("Sample")\n';
+
+  assert.deepStrictEqual(errors(`${types}type spec = {...turboModule, f: Types.nope => unit}\n${lookup}`), [
+    [DIAGNOSTIC_CODES.UNKNOWN_TYPE, "Cannot find type 'nope' in module Types"]
+  ]);
+  assert.deepStrictEqual(errors(`${types}type spec = {...turboModule, f: point => unit}\n${lookup}`), [
+    [DIAGNOSTIC_CODES.UNKNOWN_TYPE, "Cannot find type 'point'"]
+  ]);
+});
+
+test('reads module signatures in interfaces', () => {
+  const ast = parse('module Spec: {\n  type t = {...turboModule, f: unit => unit}\n}\n@module("react-native") @scope("TurboModuleRegistry")\nexternal nativeModule: (@as("Sample") _, unit) => Spec.t = "getEnforcing"\n', { filename: 'NativeSample.resi' });
+
+  assert.deepStrictEqual(ast.errors, []);
+  assert.match(printSpec(ast), /export interface Spec extends TurboModule \{\n {2}\+f: \(\) => void;\n\}\n\nexport default TurboModuleRegistry\.getEnforcing<Spec>\('Sample'\);/);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('..');
+
+const parseSpec = source => parse(source, { filename: 'NativeSample.res' });
+const declarationNames = ast => ast.body.map(statement => statement.declaration.id?.name || statement.declaration.type);
+const propertyNames = type => type.properties.map(property => property.key.name);
+
+test('ignores braces inside comments and strings', () => {
+  const ast = parseSpec(`/* a } in a comment, /* nested } */ still a comment */
+// and } here
+type options = {@deprecated("use } less") label: string, count: int}
+type spec = {
+  ...turboModule,
+  greet: string => string, // }
+  configure: options => unit,
+}
+let m: spec = getEnforcing("Sam}ple")
+`);
+
+  assert.deepStrictEqual(ast.errors, []);
+  assert.deepStrictEqual(declarationNames(ast), ['options', 'Spec', 'CallExpression']);
+  assert.deepStrictEqual(propertyNames(ast.body[0].declaration.right), ['label', 'count']);
+  assert.deepStrictEqual(propertyNames(ast.body[1].declaration.body), ['greet', 'configure']);
+  assert.strictEqual(ast.body[2].declaration.arguments[0].value, 'Sam}ple');
+});
+
+test('parses nested records to any depth', () => {
+  const ast = parseSpec(`type options = {nested: {"inner": {"deep": string}}, after: bool}
+type spec = {...turboModule, configure: options => unit}
+let m: spec = getEnforcing("Sample")
+`);
+
+  const options = ast.body[0].declaration.right;
+  assert.deepStrictEqual(propertyNames(options), ['nested', 'after']);
+  const inner = options.properties[0].value.properties[0];
+  assert.strictEqual(inner.key.name, 'inner');
+  assert.deepStrictEqual(propertyNames(inner.value), ['deep']);
+});
+
+test('splits >> when it closes nested type arguments', () => {
+  const ast = parseSpec(`type spec = {
+  ...turboModule,
+  getMap: unit => Js.Dict.t<array<option<string>>>,
+  getLists: unit => array<array<int>>,
+}
+let m: spec = getEnforcing("Sample")
+`);
+
+  assert.deepStrictEqual(ast.errors, []);
+  const [getMap, getLists] = ast.body[0].declaration.body.properties;
+  const indexer = getMap.value.returnType.indexers[0];
+  assert.strictEqual(indexer.value.type, 'ArrayTypeAnnotation');
+  assert.strictEqual(indexer.value.elementType.type, 'NullableTypeAnnotation');
+  assert.strictEqual(getLists.value.returnType.elementType.elementType.type, 'NumberTypeAnnotation');
+});
+
+test('recovers at the next declaration after a syntax error', () => {
+  const ast = parseSpec(`type broken = {a: }
+type spec = {...turboModule, ok: unit => unit}
+let m: spec = getEnforcing("Sample")
+`);
+
+  assert.deepStrictEqual(declarationNames(ast), ['Spec', 'CallExpression']);
+  assert.deepStrictEqual(ast.errors.map(error => [error.code, error.line, error.column]), [['syntax-error', 1, 18]]);
+});
+
+test('reports an unterminated string and keeps the declarations before it', () => {
+  const ast = parseSpec('type spec = {...turboModule, ok: unit => unit}\nlet s = "unterminated\n');
+
+  assert.deepStrictEqual(declarationNames(ast), ['Spec']);
+  assert.strictEqual(ast.errors[0].code, 'lexical-error');
+  assert.strictEqual(ast.errors[0].line, 2);
+});
+
+test('uses the @as name of a record field as its key', () => {
+  const ast = parseSpec(`type options = {@as("is_enabled") enabled: bool}
+type spec = {...turboModule, @as("jsName") foo: options => unit}
+let m: spec = getEnforcing("Sample")
+`);
+
+  assert.deepStrictEqual(ast.errors, []);
+  assert.deepStrictEqual(propertyNames(ast.body[0].declaration.right), ['is_enabled']);
+  assert.deepStrictEqual(propertyNames(ast.body[1].declaration.body), ['jsName']);
+});
+
+test('reports @as on a field that is not a string', () => {
+  const ast = parseSpec('type spec = {...turboModule, @as(1) foo: unit => unit}\nlet m: spec = getEnforcing("Sample")\n');
+
+  assert.deepStrictEqual(ast.errors.map(error => error.code), ['invalid-attribute']);
+  assert.match(ast.errors[0].message, /'foo'/);
+});
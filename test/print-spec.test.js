@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FlowParser } = require('@react-native/codegen/lib/parsers/flow/parser');
+const { TypeScriptParser } = require('@react-native/codegen/lib/parsers/typescript/parser');
+const { parse, printSpec, writeSpec, buildSchema } = require('..');
+
+const moduleSource = 'type spec = {...turboModule, add: (float, float) => float, getMode: unit => [#light | #dark]}\nlet m: spec = getEnforcing("Sample")\n';
+const componentSource = 'type props = {...View.viewProps, color: string}\nlet make = codegenNativeComponent("Box")\n';
+
+test('prints a module spec as Flow', () => {
+  const ast = parse(moduleSource, { filename: 'NativeSample.res' });
+
+  assert.strictEqual(printSpec(ast), `/**
+ * Generated from NativeSample.res. Do not edit.
+ *
+ * @flow strict-local
+ * @format
+ */
+
+import type {TurboModule} from 'react-native';
+import {TurboModuleRegistry} from 'react-native';
+
+export interface Spec extends TurboModule {
+  +add: (param0: number, param1: number) => number;
+  +getMode: () => 'light' | 'dark';
+}
+
+export default TurboModuleRegistry.getEnforcing<Spec>('Sample');
+`);
+});
+
+test('prints a module spec as TypeScript', () => {
+  const printed = printSpec(parse(moduleSource, { filename: 'NativeSample.res' }), { language: 'typescript' });
+
+  assert.doesNotMatch(printed, /@flow/);
+  assert.match(printed, /export interface Spec extends TurboModule \{\n {2}add\(param0: number, param1: number\): number;\n {2}getMode\(\): 'light' \| 'dark';\n\}/);
+});
+
+test('prints a component spec', () => {
+  const ast = parse(componentSource, { filename: 'BoxNativeComponent.res' });
+
+  assert.match(printSpec(ast), /export type props = \$ReadOnly<\{\|\n {2}\.\.\.ViewProps,\n {2}color: string,\n\|\}>;\n\nexport default \(codegenNativeComponent<props>\('Box'\): HostComponent<props>\);\n$/);
+  assert.match(printSpec(ast, { language: 'typescript' }), /export interface props extends ViewProps \{\n {2}color: string;\n\}\n\nexport default codegenNativeComponent<props>\('Box'\) as HostComponent<props>;\n$/);
+});
+
+test('prints specs that codegen\'s parsers read into the schema buildSchema returns', () => {
+  const fixturesDirectory = path.join(__dirname, 'fixtures');
+  const languages = [
+    { language: 'flow', Parser: FlowParser, extension: '.js' },
+    { language: 'typescript', Parser: TypeScriptParser, extension: '.ts' }
+  ];
+
+  ['modules', 'components'].forEach(kind => {
+    fs.readdirSync(path.join(fixturesDirectory, kind)).forEach(name => {
+      const source = fs.readFileSync(path.join(fixturesDirectory, kind, name), 'utf8');
+      const schema = buildSchema(source, { filename: name });
+
+      languages.forEach(({ language, Parser, extension }) => {
+        const printed = printSpec(parse(source, { filename: name }), { language });
+        assert.deepStrictEqual(new Parser().parseString(printed, name.replace(/\.res$/, extension)), schema, `${name} as ${language}`);
+      });
+    });
+  });
+});
+
+test('writes the spec in the language of the file extension', t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rescript-spec-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const ast = parse(moduleSource, { filename: 'NativeSample.res' });
+
+  const flowPath = writeSpec(ast, path.join(directory, 'generated', 'NativeSample.js'));
+  const typescriptPath = writeSpec(ast, path.join(directory, 'generated', 'NativeSample.ts'));
+
+  assert.strictEqual(fs.readFileSync(flowPath, 'utf8'), printSpec(ast));
+  assert.strictEqual(fs.readFileSync(typescriptPath, 'utf8'), printSpec(ast, { language: 'typescript' }));
+});
+
+test('rejects unknown languages and anything but a Program', () => {
+  const ast = parse(moduleSource, { filename: 'NativeSample.res' });
+
+  assert.throws(() => printSpec(ast, { language: 'reason' }), /Unknown spec language 'reason'/);
+  assert.throws(() => printSpec(ast.body[0]), /Expected the Program returned by parse\(\)/);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('..');
+
+const parseReturnType = (returnType, declarations = '') => {
+  const ast = parse(`${declarations}type spec = {...turboModule, method: unit => ${returnType}}\nlet m: spec = getEnforcing("Sample")\n`, { filename: 'NativeSample.res' });
+  const spec = ast.body.find(node => node.declaration?.id?.name === 'Spec').declaration;
+  return { ast, type: spec.body.properties[0].value.returnType };
+};
+
+test('maps promise types to Promise<T>', () => {
+  for (const promise of ['promise', 'Js.Promise.t', 'Js.Promise2.t', 'Promise.t', 'RescriptCore.Promise.t']) {
+    const { ast, type } = parseReturnType(`${promise}<string>`);
+
+    assert.deepStrictEqual(ast.errors, [], promise);
+    assert.strictEqual(type.type, 'GenericTypeAnnotation');
+    assert.strictEqual(type.id.name, 'Promise');
+    assert.deepStrictEqual(type.typeParameters.params.map(param => param.type), ['StringTypeAnnotation']);
+  }
+});
+
+test('maps the resolved type like any other type', () => {
+  assert.strictEqual(parseReturnType('promise<unit>').type.typeParameters.params[0].type, 'VoidTypeAnnotation');
+
+  const array = parseReturnType('promise<array<int>>').type.typeParameters.params[0];
+  assert.strictEqual(array.type, 'ArrayTypeAnnotation');
+  assert.strictEqual(array.elementType.type, 'NumberTypeAnnotation');
+});
+
+test('resolves with options, arrays and named records', () => {
+  const item = 'type item = {id: string}\n';
+
+  const nested = parseReturnType('promise<option<array<item>>>', item);
+  assert.deepStrictEqual(nested.ast.errors, []);
+  const nullable = nested.type.typeParameters.params[0];
+  assert.strictEqual(nullable.type, 'NullableTypeAnnotation');
+  assert.strictEqual(nullable.typeAnnotation.type, 'ArrayTypeAnnotation');
+  assert.strictEqual(nullable.typeAnnotation.elementType.type, 'GenericTypeAnnotation');
+  assert.strictEqual(nullable.typeAnnotation.elementType.id.name, 'item');
+
+  const named = parseReturnType('Js.Promise.t<item>', item);
+  assert.deepStrictEqual(named.ast.errors, []);
+  assert.strictEqual(named.type.id.name, 'Promise');
+  assert.deepStrictEqual(named.type.typeParameters.params.map(param => [param.type, param.id.name]), [['GenericTypeAnnotation', 'item']]);
+});
+
+test('reports a promise without the type it resolves with', () => {
+  const { ast, type } = parseReturnType('promise');
+
+  assert.deepStrictEqual(ast.errors.map(error => error.code), ['unsupported-type']);
+  assert.strictEqual(type.type, 'AnyTypeAnnotation');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildSchema, ReScriptParseError } = require('..');
+
+// Each fixture ports the React Native codegen fixture of the same name (from
+// `lib/parsers/flow/{modules,components}/__test_fixtures__/fixtures.js`) to ReScript. The
+// snapshots are the schemas codegen's FlowParser builds from the original Flow fixtures,
+// with the file names React Native's own parser snapshot tests use.
+const fixturesDirectory = path.join(__dirname, 'fixtures');
+
+// ReScript type names start with a lowercase letter, so the aliases in the snapshots do too.
+const lowercaseAliases = schema =>
+  JSON.parse(JSON.stringify(schema, (key, value) => {
+    const lowercase = name => name.charAt(0).toLowerCase() + name.slice(1);
+    if (key === 'aliasMap') {
+      return Object.fromEntries(Object.entries(value).map(([name, alias]) => [lowercase(name), alias]));
+    }
+    if (value?.type === 'TypeAliasTypeAnnotation') {
+      return { ...value, name: lowercase(value.name) };
+    }
+    return value;
+  }));
+
+['modules', 'components'].forEach(kind => {
+  const snapshots = JSON.parse(fs.readFileSync(path.join(fixturesDirectory, 'snapshots', `${kind}.json`), 'utf8'));
+
+  fs.readdirSync(path.join(fixturesDirectory, kind)).forEach(name => {
+    const fixture = path.basename(name, '.res');
+
+    test(`builds the schema codegen builds for ${fixture}`, () => {
+      const source = fs.readFileSync(path.join(fixturesDirectory, kind, name), 'utf8');
+      const schema = buildSchema(source, { filename: kind === 'modules' ? 'NativeSampleTurboModule.res' : name });
+
+      // The snapshots are JSON, so they have no `excludedPlatforms: undefined`.
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(schema)), lowercaseAliases(snapshots[fixture]));
+    });
+  });
+});
+
+test('builds module unions that the module generators accept', () => {
+  const source = 'type spec = {...TurboModule.turboModule, getMode: unit => [#light | #dark]}\nlet nativeModule: spec = TurboModule.getEnforcing("Sample")\n';
+  const schema = buildSchema(source, { filename: 'NativeSample.res' });
+
+  const [method] = schema.modules.NativeSample.spec.methods;
+  assert.deepStrictEqual(method.typeAnnotation.returnTypeAnnotation, {
+    type: 'UnionTypeAnnotation',
+    types: [
+      { type: 'StringLiteralTypeAnnotation', value: 'light' },
+      { type: 'StringLiteralTypeAnnotation', value: 'dark' }
+    ]
+  });
+
+  ['GenerateModuleH', 'GenerateModuleJavaSpec', 'GenerateModuleJniCpp'].forEach(generator => {
+    const { generate } = require(`@react-native/codegen/lib/generators/modules/${generator}`);
+    assert.doesNotThrow(() => generate('Sample', schema, 'com.sample', false), generator);
+  });
+});
+
+test('throws instead of returning a partial schema', () => {
+  assert.throws(
+    () => buildSchema('type spec = {...turboModule, f: unknown => unit}\nlet m: spec = getEnforcing("Sample")\n', { filename: 'NativeSample.res' }),
+    ReScriptParseError
+  );
+  assert.throws(
+    () => buildSchema('type props = {...View.viewProps, a: array<array<string>>}\nlet make = codegenNativeComponent("X")\n', { filename: 'XNativeComponent.res' }),
+    /Only arrays of arrays of objects are supported in prop 'a'/
+  );
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('..');
+
+const parseParams = (source, signature) => {
+  const ast = parse(`${source}type spec = {...turboModule, method: ${signature} => unit}\nlet m: spec = getEnforcing("Sample")\n`, { filename: 'NativeSample.res' });
+  const spec = ast.body.find(statement => statement.declaration.type === 'InterfaceDeclaration').declaration;
+  return { ast, params: spec.body.properties[0].value.params.map(param => param.typeAnnotation) };
+};
+
+const describeId = id => id.type === 'QualifiedTypeIdentifier' ? `${describeId(id.qualification)}.${id.id.name}` : id.name;
+
+test('resolves local type names into GenericTypeAnnotations', () => {
+  const { ast, params } = parseParams('type options = {retries: int}\n', 'options');
+
+  assert.deepStrictEqual(ast.errors, []);
+  assert.strictEqual(params[0].type, 'GenericTypeAnnotation');
+  assert.strictEqual(params[0].id.name, 'options');
+  assert.strictEqual(params[0].typeParameters, null);
+});
+
+test('turns qualified names into nested QualifiedTypeIdentifiers', () => {
+  const { ast, params } = parseParams('', '(Shared.config, Shared.Deep.t)');
+
+  assert.deepStrictEqual(ast.errors, []);
+  assert.strictEqual(params[0].id.type, 'QualifiedTypeIdentifier');
+  assert.deepStrictEqual(params.map(param => describeId(param.id)), ['Shared.config', 'Shared.Deep.t']);
+});
+
+test('reports unknown types as errors', () => {
+  const { ast, params } = parseParams('', 'unknown');
+
+  assert.deepStrictEqual(ast.errors.map(error => [error.code, error.severity]), [['unknown-type', 'error']]);
+  assert.strictEqual(params[0].id.name, 'unknown');
+});
+
+test('only warns about unknown types when another module is opened', () => {
+  const { ast } = parseParams('open Shared\n', 'unknown');
+
+  assert.deepStrictEqual(ast.errors.map(error => [error.code, error.severity]), [['unknown-type', 'warning']]);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('..');
+
+// Parses `method: <signature>` in a spec and returns the method's FunctionTypeAnnotation.
+const parseMethod = (signature, options = {}) => {
+  const ast = parse(`type spec = {...turboModule, method: ${signature}}\nlet m: spec = getEnforcing("Sample")\n`, { filename: 'NativeSample.res', ...options });
+  return { ast, method: ast.body[0].declaration.body.properties[0].value };
+};
+
+const paramTypes = method => method.params.map(param => param.typeAnnotation.type === 'GenericTypeAnnotation'
+  ? param.typeAnnotation.id.name
+  : param.typeAnnotation.type);
+
+test('maps ReScript primitives', () => {
+  const { ast, method } = parseMethod('(string, int, float, bool, Js.Json.t, String.t, Int.t) => string');
+
+  assert.deepStrictEqual(ast.errors, []);
+  assert.deepStrictEqual(paramTypes(method), [
+    'StringTypeAnnotation',
+    'NumberTypeAnnotation',
+    'NumberTypeAnnotation',
+    'BooleanTypeAnnotation',
+    'MixedTypeAnnotation',
+    'StringTypeAnnotation',
+    'NumberTypeAnnotation'
+  ]);
+  assert.strictEqual(method.returnType.type, 'StringTypeAnnotation');
+});
+
+test('maps unit to no params and a void return', () => {
+  const { method } = parseMethod('unit => unit');
+
+  assert.deepStrictEqual(method.params, []);
+  assert.strictEqual(method.returnType.type, 'VoidTypeAnnotation');
+});
+
+test('maps codegen number types to the CodegenTypes aliases', () => {
+  const { ast, method } = parseMethod('(int32, Int32, double, Double, Float) => unit');
+
+  assert.deepStrictEqual(ast.errors, []);
+  assert.deepStrictEqual(paramTypes(method), ['Int32', 'Int32', 'Double', 'Double', 'Float']);
+});
+
+test('maps nullable, array and dictionary types', () => {
+  const { method } = parseMethod('(option<string>, Js.Nullable.t<int>, array<bool>) => Js.Dict.t<string>');
+
+  assert.deepStrictEqual(paramTypes(method), ['NullableTypeAnnotation', 'NullableTypeAnnotation', 'ArrayTypeAnnotation']);
+  assert.strictEqual(method.params[0].typeAnnotation.typeAnnotation.type, 'StringTypeAnnotation');
+  assert.strictEqual(method.params[2].typeAnnotation.elementType.type, 'BooleanTypeAnnotation');
+  assert.strictEqual(method.returnType.indexers[0].value.type, 'StringTypeAnnotation');
+});
+
+test('reports types that cannot be mapped', () => {
+  const { ast, method } = parseMethod('((int, string)) => unit');
+
+  assert.deepStrictEqual(ast.errors.map(error => error.code), ['unsupported-type']);
+  assert.strictEqual(method.params[0].typeAnnotation.type, 'AnyTypeAnnotation');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { TypeScriptParser } = require('@react-native/codegen/lib/parsers/typescript/parser');
+const { parse, buildSchema } = require('..');
+
+// Runs codegen's TypeScript parser on the TypeScript AST instead of one from `@babel/parser`.
+class ReScriptTypeScriptParser extends TypeScriptParser {
+  getAst(contents, filename) {
+    return parse(contents, { filename, output: 'typescript', strict: true });
+  }
+}
+
+const strip = node => JSON.parse(JSON.stringify(node, (key, value) => (key === 'loc' || key === 'range' ? undefined : value)));
+
+test('produces module interfaces in the shape @babel/parser does', () => {
+  const ast = parse('type spec = {...turboModule, find: string => option<string>}\nlet m: spec = getEnforcing("Sample")\n', {
+    filename: 'NativeSample.res',
+    output: 'typescript'
+  });
+  const spec = ast.body.find(node => node.type === 'ExportNamedDeclaration').declaration;
+
+  assert.strictEqual(spec.type, 'TSInterfaceDeclaration');
+  assert.strictEqual(spec.id.name, 'Spec');
+  assert.deepStrictEqual(spec.extends.map(heritage => heritage.expression.name), ['TurboModule']);
+
+  const [method] = spec.body.body;
+  assert.strictEqual(method.type, 'TSPropertySignature');
+  assert.deepStrictEqual(strip(method.typeAnnotation.typeAnnotation.typeAnnotation), {
+    type: 'TSTypeAnnotation',
+    typeAnnotation: { type: 'TSUnionType', types: [{ type: 'TSStringKeyword' }, { type: 'TSNullKeyword' }] }
+  });
+});
+
+test('extends ViewProps for props that spread View.viewProps', () => {
+  const ast = parse('type props = {...View.viewProps, color: string}\nlet make = codegenNativeComponent("Box")\n', { output: 'typescript' });
+  const props = ast.body[0].declaration;
+
+  assert.strictEqual(props.type, 'TSInterfaceDeclaration');
+  assert.deepStrictEqual(strip(props.extends), [{
+    type: 'TSExpressionWithTypeArguments',
+    expression: { type: 'Identifier', name: 'ViewProps' },
+    typeParameters: null
+  }]);
+});
+
+test('is read by codegen\'s TypeScript parser into the schema buildSchema returns', () => {
+  const fixturesDirectory = path.join(__dirname, 'fixtures');
+
+  ['modules', 'components'].forEach(kind => {
+    fs.readdirSync(path.join(fixturesDirectory, kind)).forEach(name => {
+      const source = fs.readFileSync(path.join(fixturesDirectory, kind, name), 'utf8');
+
+      assert.deepStrictEqual(new ReScriptTypeScriptParser().parseString(source, name), buildSchema(source, { filename: name }), name);
+    });
+  });
+});
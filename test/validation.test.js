@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse, validate, buildSchema, ReScriptCodegenParser, DIAGNOSTIC_CODES } = require('..');
+
+const lookup = 'let m: spec = getEnforcing("Sample")\n';
+const misnamed = 'type sampleSpec = {...turboModule, f: unit => unit}\nlet m: sampleSpec = getEnforcing("Sample")\n';
+
+const errors = source => parse(source).errors.map(error => [error.code, error.severity, error.message]);
+
+test('reports module specs that break codegen\'s rules', () => {
+  assert.deepStrictEqual(errors(`type spec = {f: unit => unit}\n${lookup}`), [
+    [DIAGNOSTIC_CODES.MISSING_TURBO_MODULE_SPREAD, 'error', "Spec 'Spec' must spread `...turboModule` so that it extends TurboModule"]
+  ]);
+  assert.deepStrictEqual(errors(`type spec = {...turboModule, f: [#a | #1] => unit}\n${lookup}`), [
+    [DIAGNOSTIC_CODES.UNSUPPORTED_UNION, 'error', 'Union members must all be strings, all be numbers or all be objects, but found string, number']
+  ]);
+  assert.deepStrictEqual(errors(`type spec = {...turboModule, f: option<unit => unit> => unit}\n${lookup}`), [
+    [DIAGNOSTIC_CODES.NULLABLE_CALLBACK, 'error', "Callback 'param0' of method 'f' cannot be optional or nullable; native modules always receive their callbacks"]
+  ]);
+  assert.deepStrictEqual(errors(`type spec = {...turboModule, f: unit => unit, f: int => unit}\n${lookup}`), [
+    [DIAGNOSTIC_CODES.DUPLICATE_MEMBER, 'error', "'f' is declared more than once in 'Spec'"]
+  ]);
+});
+
+test('reports function props', () => {
+  assert.deepStrictEqual(errors('type props = {...View.viewProps, onTap?: unit => unit}\nlet make = codegenNativeComponent("Box")\n'), [
+    [DIAGNOSTIC_CODES.FUNCTION_PROP, 'error', "Prop 'onTap' is a function; use directEventHandler<payload> or bubblingEventHandler<payload> for events"]
+  ]);
+});
+
+test('warns about a spec that is not called Spec without failing', () => {
+  assert.deepStrictEqual(errors(misnamed).map(([code, severity]) => [code, severity]), [[DIAGNOSTIC_CODES.MISNAMED_SPEC, 'warning']]);
+  assert.deepStrictEqual(Object.keys(buildSchema(misnamed, { filename: 'NativeSample.res' }).modules), ['NativeSample']);
+  assert.doesNotThrow(() => new ReScriptCodegenParser().getAst(misnamed, 'NativeSample.res'));
+});
+
+test('validates a TypeScript AST on its own', () => {
+  assert.deepStrictEqual(validate(parse(`type spec = {...turboModule, f: unit => unit}\n${lookup}`, { output: 'typescript' })), []);
+  assert.deepStrictEqual(validate(parse(misnamed, { output: 'typescript' })).map(finding => [finding.code, finding.line, finding.column, 'excerpt' in finding]), [
+    [DIAGNOSTIC_CODES.MISNAMED_SPEC, 1, 5, false]
+  ]);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('..');
+
+const literals = type => (type.type === 'UnionTypeAnnotation' ? type.types : [type]).map(literal => [literal.type, literal.value]);
+
+const parseSpec = (source, signature) => {
+  const ast = parse(`${source}type spec = {...turboModule, method: ${signature}}\nlet m: spec = getEnforcing("Sample")\n`, { filename: 'NativeSample.res' });
+  const spec = ast.body.find(statement => statement.declaration.type === 'InterfaceDeclaration').declaration;
+  return { ast, method: spec.body.properties[0].value };
+};
+
+test('translates variant declarations into string literal unions', () => {
+  const { ast } = parseSpec('type mode = Light | Dark | @as("sys") System\n', 'mode => unit');
+
+  assert.deepStrictEqual(ast.errors, []);
+  const mode = ast.body[0].declaration.right;
+  assert.deepStrictEqual(literals(mode), [
+    ['StringLiteralTypeAnnotation', 'Light'],
+    ['StringLiteralTypeAnnotation', 'Dark'],
+    ['StringLiteralTypeAnnotation', 'sys']
+  ]);
+  assert.strictEqual(mode.types[2].raw, '"sys"');
+});
+
+test('uses numeric @as values as number literals', () => {
+  const { ast } = parseSpec('type level = | @as(1) Low | @as(2) High\n', 'level => unit');
+
+  assert.deepStrictEqual(literals(ast.body[0].declaration.right), [
+    ['NumberLiteralTypeAnnotation', 1],
+    ['NumberLiteralTypeAnnotation', 2]
+  ]);
+});
+
+test('translates inline polymorphic variants', () => {
+  const { ast, method } = parseSpec('', '[#small | #large] => [#1 | #2]');
+
+  assert.deepStrictEqual(ast.errors, []);
+  assert.deepStrictEqual(literals(method.params[0].typeAnnotation), [
+    ['StringLiteralTypeAnnotation', 'small'],
+    ['StringLiteralTypeAnnotation', 'large']
+  ]);
+  assert.deepStrictEqual(literals(method.returnType), [
+    ['NumberLiteralTypeAnnotation', 1],
+    ['NumberLiteralTypeAnnotation', 2]
+  ]);
+});
+
+test('uses a single case as a plain literal', () => {
+  const { method } = parseSpec('', '[#only] => unit');
+
+  assert.deepStrictEqual(literals(method.params[0].typeAnnotation), [['StringLiteralTypeAnnotation', 'only']]);
+  assert.strictEqual(method.params[0].typeAnnotation.type, 'StringLiteralTypeAnnotation');
+});
+
+test('reports cases with a payload and leaves them out', () => {
+  const { ast, method } = parseSpec('', '[#a(int) | #b | #c] => unit');
+
+  assert.deepStrictEqual(ast.errors.map(error => error.code), ['invalid-variant']);
+  assert.deepStrictEqual(literals(method.params[0].typeAnnotation).map(([, value]) => value), ['b', 'c']);
+});